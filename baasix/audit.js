@@ -0,0 +1,147 @@
+/**
+ * Audit log for Baasix MCP Server
+ * Appends one JSON line per tool call to a local file and queries recent entries
+ */
+
+import fs from "fs";
+import { dirname } from "path";
+
+// Last word of argument keys whose values are never written to the log
+const SECRET_WORDS = [
+    "password",
+    "passwd",
+    "pass",
+    "secret",
+    "token",
+    "authorization",
+    "apikey",
+    "cookie",
+    "credential",
+    "credentials",
+];
+
+// Whole words only: password, refreshToken, client_secret and x-api-key are secrets,
+// but passenger, compass, tokenCount and bypassCache are kept
+function isSecretKey(key) {
+    const words = key
+        .replace(/([a-z\d])([A-Z])/g, "$1 $2")
+        .toLowerCase()
+        .split(/[^a-z\d]+/)
+        .filter(Boolean);
+    const last = words.at(-1);
+    return SECRET_WORDS.includes(last) || (last === "key" && words.at(-2) === "api");
+}
+
+export const REDACTED = "[REDACTED]";
+
+// Deep copy of a value with secret fields replaced
+export function redactSecrets(value) {
+    if (Array.isArray(value)) {
+        return value.map(redactSecrets);
+    }
+    if (value && typeof value === "object") {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, entry]) => [
+                key,
+                isSecretKey(key) && entry != null && entry !== "" ? REDACTED : redactSecrets(entry),
+            ])
+        );
+    }
+    return value;
+}
+
+// Size in bytes of a tool result's text content
+export function getResultSize(result) {
+    return (result?.content || []).reduce(
+        (size, part) => size + (typeof part.text === "string" ? Buffer.byteLength(part.text) : 0),
+        0
+    );
+}
+
+// Parse a time bound: ISO date, or a relative duration such as "15m", "2h" or "7d" before now
+export function parseTimeBound(value, now = Date.now()) {
+    if (value == null || value === "") return null;
+
+    const relative = /^(\d+(?:\.\d+)?)\s*(s|m|h|d)$/i.exec(String(value).trim());
+    if (relative) {
+        const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+        return now - Number(relative[1]) * units[relative[2].toLowerCase()];
+    }
+
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid time "${value}": use an ISO date or a duration such as 15m, 2h or 7d`);
+    }
+    return time;
+}
+
+/**
+ * Create the audit log
+ * @param {object} config - Loaded configuration (BAASIX_MCP_AUDIT_LOG)
+ * @returns {{ filePath: string, record: (entry: object) => Promise<void>, query: (filters?: object) => Promise<object[]> } | null}
+ *   null when auditing is disabled
+ */
+export function createAuditLog(config = {}) {
+    const filePath = config.BAASIX_MCP_AUDIT_LOG;
+    if (!filePath) return null;
+
+    fs.mkdirSync(dirname(filePath), { recursive: true });
+
+    // Writes are chained so that entries stay in call order
+    let pending = Promise.resolve();
+
+    const record = (entry) => {
+        const line = `${JSON.stringify(entry)}\n`;
+        pending = pending
+            .then(() => fs.promises.appendFile(filePath, line, "utf8"))
+            .catch((error) => {
+                console.error(`[Audit] Failed to write ${filePath}: ${error.message}`);
+            });
+        return pending;
+    };
+
+    const readEntries = async () => {
+        let content;
+        try {
+            content = await fs.promises.readFile(filePath, "utf8");
+        } catch (error) {
+            if (error.code === "ENOENT") return [];
+            throw error;
+        }
+
+        return content
+            .split("\n")
+            .filter(Boolean)
+            .flatMap((line) => {
+                try {
+                    return [JSON.parse(line)];
+                } catch (error) {
+                    return []; // skip a partially written line
+                }
+            });
+    };
+
+    // Most recent entries first, filtered by tool, collection, outcome and time window
+    const query = async ({ tool, collection, outcome, since, until, limit = 50 } = {}) => {
+        await pending;
+
+        const from = parseTimeBound(since);
+        const to = parseTimeBound(until);
+        const entries = await readEntries();
+
+        return entries
+            .filter((entry) => {
+                const time = Date.parse(entry.timestamp);
+                if (tool && entry.tool !== tool) return false;
+                if (collection && entry.collection !== collection) return false;
+                if (outcome && entry.outcome !== outcome) return false;
+                if (from !== null && time < from) return false;
+                if (to !== null && time > to) return false;
+                return true;
+            })
+            .reverse()
+            .slice(0, limit);
+    };
+
+    return { filePath, record, query };
+}
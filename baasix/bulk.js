@@ -0,0 +1,136 @@
+/**
+ * Bulk item operations
+ * Runs one request per item in chunks with a concurrency limit and reports the outcome of every item
+ */
+
+import { BaasixApiError } from "./errors.js";
+
+export const BULK_DEFAULTS = {
+    chunkSize: 100,
+    concurrency: 5,
+};
+
+// Upper bounds so a single tool call cannot flood the backend
+export const BULK_LIMITS = {
+    maxItems: 10000,
+    maxConcurrency: 20,
+};
+
+// Split an array into arrays of at most size elements
+export function chunk(values, size) {
+    const chunks = [];
+    for (let i = 0; i < values.length; i += size) {
+        chunks.push(values.slice(i, i + size));
+    }
+    return chunks;
+}
+
+// Like Promise.allSettled(values.map(fn)), with at most `concurrency` calls in flight
+export async function mapWithConcurrency(values, concurrency, fn) {
+    const results = new Array(values.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < values.length) {
+            const index = next++;
+            try {
+                results[index] = { status: "fulfilled", value: await fn(values[index], index) };
+            } catch (reason) {
+                results[index] = { status: "rejected", reason };
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, values.length) }, worker));
+    return results;
+}
+
+// Thrown by a bulk operation to report an item as a conflict (e.g. an ambiguous match) rather than a failure
+export class BulkConflictError extends Error {
+    constructor(message, details = null) {
+        super(message);
+        this.name = "BulkConflictError";
+        this.details = details;
+    }
+}
+
+// Error details for one failed item
+export function describeItemError(error) {
+    if (error instanceof BaasixApiError) {
+        const { message, status, code, details } = error;
+        return { message, status, code, details };
+    }
+    return { message: error instanceof Error ? error.message : String(error) };
+}
+
+/**
+ * Run an operation for every entry and report per-item outcomes
+ * @param {object[]} entries - One entry per item; its primary key is echoed in the report as `id` when known
+ * @param {(entry: object, context: any) => Promise<any>} operation - Performs the request for one entry.
+ *   It may resolve to { action } to label the outcome (e.g. "created" or "updated"), or throw
+ *   BulkConflictError to report a conflict
+ * @param {object} options - chunkSize, concurrency, stopOnError (skip remaining chunks after a failure),
+ *   primaryKey (the field holding an item's ID in entries and responses, default "id"),
+ *   prepareChunk(batch), whose result is passed to the operation as context, and onProgress(done, total)
+ *   called after every chunk
+ */
+export async function runBulk(entries, operation, options = {}) {
+    const chunkSize = Math.max(1, Math.floor(options.chunkSize || BULK_DEFAULTS.chunkSize));
+    const concurrency = Math.min(
+        Math.max(1, Math.floor(options.concurrency || BULK_DEFAULTS.concurrency)),
+        BULK_LIMITS.maxConcurrency
+    );
+
+    const primaryKey = options.primaryKey || "id";
+    const results = [];
+    let failed = 0;
+
+    for (const batch of chunk(entries, chunkSize)) {
+        const offset = results.length;
+
+        if (options.stopOnError && failed > 0) {
+            batch.forEach((entry, i) => {
+                const id = entry[primaryKey];
+                results.push({ index: offset + i, ...(id != null && { id }), status: "skipped" });
+            });
+            continue;
+        }
+
+        let settled;
+        try {
+            const context = options.prepareChunk ? await options.prepareChunk(batch) : undefined;
+            settled = await mapWithConcurrency(batch, concurrency, (entry) => operation(entry, context));
+        } catch (error) {
+            // Preparing the chunk failed, so none of its items were processed
+            settled = batch.map(() => ({ status: "rejected", reason: error }));
+        }
+
+        settled.forEach((outcome, i) => {
+            const entry = batch[i];
+            const id = entry[primaryKey] ?? outcome.value?.data?.[primaryKey] ?? outcome.value?.[primaryKey];
+            const result = { index: offset + i, ...(id != null && { id }) };
+
+            if (outcome.status === "fulfilled") {
+                results.push({ ...result, status: "success", ...(outcome.value?.action && { action: outcome.value.action }) });
+            } else if (outcome.reason instanceof BulkConflictError) {
+                const { message, details } = outcome.reason;
+                results.push({ ...result, status: "conflict", conflict: { message, ...(details && { details }) } });
+            } else {
+                failed++;
+                results.push({ ...result, status: "error", error: describeItemError(outcome.reason) });
+            }
+        });
+
+        await options.onProgress?.(results.length, entries.length);
+    }
+
+    const count = (status) => results.filter((result) => result.status === status).length;
+    return {
+        total: entries.length,
+        succeeded: count("success"),
+        failed,
+        conflicts: count("conflict"),
+        skipped: count("skipped"),
+        results,
+    };
+}
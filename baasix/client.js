@@ -0,0 +1,519 @@
+/**
+ * Baasix API client for Baasix MCP Server
+ * Manages named instance profiles, their authentication state and HTTP requests
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import axios from "axios";
+import { BaasixApiError } from "./errors.js";
+
+const DEFAULT_PROFILE = "default";
+
+// Renew auto-login tokens this long before they expire
+const REFRESH_MARGIN = 60 * 1000; // 1 minute
+
+// Lifetime assumed for tokens that carry no expiry information
+const DEFAULT_TOKEN_LIFETIME = 60 * 60 * 1000; // 1 hour
+
+// HTTP methods that are safe to retry
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+
+// Statuses that mean the backend is temporarily unavailable
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+// Outbound request settings (see configureRequests)
+const requestSettings = {
+    timeout: 30000,
+    retries: 3,
+    retryBaseDelay: 300,
+    retryMaxDelay: 10000,
+    breakerThreshold: 5,
+    breakerCooldown: 30000,
+};
+
+// Profile name -> profile state
+const profiles = new Map();
+let defaultProfileName = DEFAULT_PROFILE;
+
+// Context of the current tool call: selected profile, MCP client session and the requests it made
+const callContext = new AsyncLocalStorage();
+
+// Key of adopted sessions for calls without an MCP client session (stdio)
+const LOCAL_CLIENT = "local";
+
+function createProfile(name, { url, authToken, email, password } = {}) {
+    return {
+        name,
+        url: url || "http://localhost:8056",
+        staticToken: authToken || null,
+        email: email || null,
+        password: password || null,
+        // Authentication state
+        authToken: null,
+        authExpiry: null,
+        refreshToken: null,
+        // Login/refresh in flight, shared by concurrent tool calls
+        pendingAuth: null,
+        // Sessions adopted from baasix_login/baasix_switch_tenant (override the configured identity),
+        // per MCP client session so HTTP clients do not act as each other
+        sessions: new Map(),
+        // Circuit breaker state
+        circuit: { failures: 0, openUntil: 0, probing: false },
+    };
+}
+
+// Parse BAASIX_PROFILES: an object (config file) or a JSON string (env)
+function parseProfiles(value) {
+    if (!value) return {};
+    if (typeof value === "object") return value;
+
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        throw new Error(`BAASIX_PROFILES must be valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Configure instance profiles
+ * The BAASIX_URL/BAASIX_AUTH_TOKEN/BAASIX_EMAIL/BAASIX_PASSWORD settings form the "default" profile,
+ * BAASIX_PROFILES adds named profiles ({ name: { url, authToken, email, password } })
+ * @param {object} config - Loaded configuration
+ */
+export function configureProfiles(config) {
+    profiles.clear();
+
+    profiles.set(
+        DEFAULT_PROFILE,
+        createProfile(DEFAULT_PROFILE, {
+            url: config.BAASIX_URL,
+            authToken: config.BAASIX_AUTH_TOKEN,
+            email: config.BAASIX_EMAIL,
+            password: config.BAASIX_PASSWORD,
+        })
+    );
+
+    for (const [name, profileConfig] of Object.entries(parseProfiles(config.BAASIX_PROFILES))) {
+        if (!profileConfig?.url) {
+            throw new Error(`Profile "${name}" must have a url`);
+        }
+        profiles.set(name, createProfile(name, profileConfig));
+    }
+
+    defaultProfileName = config.BAASIX_DEFAULT_PROFILE || DEFAULT_PROFILE;
+    if (!profiles.has(defaultProfileName)) {
+        throw new Error(`BAASIX_DEFAULT_PROFILE "${defaultProfileName}" is not a configured profile`);
+    }
+}
+
+// Read a non-negative number setting, falling back to the default
+function readNumber(value, fallback) {
+    const number = Number(value);
+    return value !== undefined && value !== "" && Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * Configure timeouts, retries and circuit breaking for outbound requests
+ * @param {object} config - Loaded configuration
+ */
+export function configureRequests(config) {
+    requestSettings.timeout = readNumber(config.BAASIX_REQUEST_TIMEOUT, 30000);
+    requestSettings.retries = readNumber(config.BAASIX_RETRY_ATTEMPTS, 3);
+    requestSettings.retryBaseDelay = readNumber(config.BAASIX_RETRY_BASE_DELAY, 300);
+    requestSettings.retryMaxDelay = readNumber(config.BAASIX_RETRY_MAX_DELAY, 10000);
+    requestSettings.breakerThreshold = readNumber(config.BAASIX_CIRCUIT_BREAKER_THRESHOLD, 5);
+    requestSettings.breakerCooldown = readNumber(config.BAASIX_CIRCUIT_BREAKER_COOLDOWN, 30000);
+}
+
+export function getProfileNames() {
+    return [...profiles.keys()];
+}
+
+export function getDefaultProfileName() {
+    return defaultProfileName;
+}
+
+// Get a profile by name, defaulting to the profile of the current tool call
+export function getProfile(name) {
+    const profileName = name || callContext.getStore()?.profile || defaultProfileName;
+    const profile = profiles.get(profileName);
+    if (!profile) {
+        throw new Error(`Unknown profile "${profileName}". Available profiles: ${getProfileNames().join(", ")}`);
+    }
+    return profile;
+}
+
+// Run a function with the given profile selected for all Baasix requests it makes
+// Pass a context object to read back the requests made by fn (method, endpoint, status, duration)
+export function runWithProfile(name, fn, context = {}) {
+    const profile = getProfile(name);
+    context.profile = profile.name;
+    context.clientSession = context.clientSession ?? callContext.getStore()?.clientSession;
+    context.requests = context.requests || [];
+    return callContext.run(context, fn);
+}
+
+// Extract the token from a login/switch-tenant response
+export function extractToken(result) {
+    return result?.token || result?.data?.token || result?.accessToken || result?.data?.accessToken || null;
+}
+
+// MCP client session of the current tool call
+function getClientSession() {
+    return callContext.getStore()?.clientSession ?? LOCAL_CLIENT;
+}
+
+/**
+ * Session a client has adopted for a profile
+ * @param {object} profile - Profile to look in
+ * @param {string} [clientSession] - MCP session ID (default: the one of the current tool call)
+ * @returns {object | null} { token, user, tenant, source, since }
+ */
+export function getSession(profile = getProfile(), clientSession = getClientSession()) {
+    return profile.sessions.get(clientSession) || null;
+}
+
+/**
+ * Adopt a token returned by the server as the active session of a profile, for the client of the current tool call
+ * @param {object} profile - Profile to update
+ * @param {object} session - { token, user, tenant, source }
+ */
+export function setSession(profile, { token, user = null, tenant = null, source }) {
+    const session = { token, user, tenant, source, since: new Date().toISOString() };
+    profile.sessions.set(getClientSession(), session);
+    return session;
+}
+
+// Drop the adopted session of the current client and revert to the configured identity
+export function clearSession(profile = getProfile()) {
+    const session = getSession(profile);
+    profile.sessions.delete(getClientSession());
+    return session;
+}
+
+// Drop the sessions a client adopted in every profile, when its MCP session closes
+export function clearClientSessions(clientSession) {
+    for (const profile of profiles.values()) {
+        profile.sessions.delete(clientSession);
+    }
+}
+
+// Read the expiry (ms since epoch) from a JWT's "exp" claim, or null if it has none
+export function getTokenExpiry(token) {
+    const payload = typeof token === "string" ? token.split(".")[1] : null;
+    if (!payload) return null;
+
+    try {
+        const { exp } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+        return typeof exp === "number" ? exp * 1000 : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Network errors and gateway/rate-limit statuses are worth retrying
+function isRetryableError(error) {
+    if (axios.isCancel(error)) return false;
+    if (!error.response) return true;
+    return RETRYABLE_STATUSES.includes(error.response.status);
+}
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+function getRetryAfter(error) {
+    const header = error.response?.headers?.["retry-after"];
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with jitter: a random delay in the upper half of base * 2^attempt
+function getBackoffDelay(attempt) {
+    const delay = Math.min(requestSettings.retryMaxDelay, requestSettings.retryBaseDelay * 2 ** attempt);
+    return delay / 2 + Math.random() * (delay / 2);
+}
+
+// Send a request, retrying idempotent methods while the backend is temporarily unavailable
+async function sendRequest(endpoint, config) {
+    const method = (config.method || "GET").toUpperCase();
+    const canRetry = IDEMPOTENT_METHODS.includes(method);
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await axios(endpoint, { timeout: requestSettings.timeout, ...config });
+        } catch (error) {
+            if (!canRetry || attempt >= requestSettings.retries || !isRetryableError(error)) throw error;
+
+            // Honour Retry-After, but give up rather than wait longer than the maximum delay
+            const retryAfter = getRetryAfter(error);
+            if (retryAfter !== null && retryAfter > requestSettings.retryMaxDelay) throw error;
+
+            await sleep(retryAfter ?? getBackoffDelay(attempt));
+        }
+    }
+}
+
+// Whether a failure means the backend is down (counts towards opening the circuit)
+function isBackendFailure(error) {
+    if (error instanceof BaasixApiError) {
+        return error.code !== "CIRCUIT_OPEN" && (error.status === null || [502, 503, 504].includes(error.status));
+    }
+    return false;
+}
+
+// Whether the backend answered: a response, even an error status, shows it is up
+function isBackendResponse(error) {
+    return !error || (error instanceof BaasixApiError && error.status != null && !isBackendFailure(error));
+}
+
+function circuitOpenError(profile, endpoint, method, message) {
+    return new BaasixApiError(`Baasix API Error: backend for profile "${profile.name}" is unavailable, ${message}`, {
+        status: 503,
+        code: "CIRCUIT_OPEN",
+        method,
+        endpoint,
+        profile: profile.name,
+    });
+}
+
+/**
+ * Fail fast while the circuit of a profile is open
+ * @returns {boolean} Whether this request is the trial request of a half-open circuit
+ */
+function checkCircuit(profile, endpoint, method) {
+    const { circuit } = profile;
+    if (requestSettings.breakerThreshold === 0 || circuit.failures < requestSettings.breakerThreshold) return false;
+
+    const remaining = circuit.openUntil - Date.now();
+    if (remaining > 0) {
+        throw circuitOpenError(profile, endpoint, method, `failing fast for ${Math.ceil(remaining / 1000)}s`);
+    }
+
+    // Cooldown over: let a single request through as a trial; the others fail fast until it settles
+    if (circuit.probing) {
+        throw circuitOpenError(profile, endpoint, method, "waiting for a trial request to finish");
+    }
+    circuit.probing = true;
+    return true;
+}
+
+function recordCircuitResult(profile, error, probe) {
+    const { circuit } = profile;
+    if (probe) circuit.probing = false;
+
+    if (isBackendResponse(error)) {
+        circuit.failures = 0;
+        circuit.openUntil = 0;
+        return;
+    }
+    // Failures that say nothing about the backend (aborts, errors in this process) leave the circuit as it is
+    if (!isBackendFailure(error)) return;
+
+    circuit.failures++;
+    if (requestSettings.breakerThreshold > 0 && circuit.failures >= requestSettings.breakerThreshold) {
+        circuit.openUntil = Date.now() + requestSettings.breakerCooldown;
+    }
+}
+
+// Describe the circuit breaker state of a profile
+export function getCircuitState(profile = getProfile()) {
+    const { failures, openUntil } = profile.circuit;
+    if (openUntil > Date.now()) {
+        return { state: "open", failures, retry_at: new Date(openUntil).toISOString() };
+    }
+    return { state: failures >= requestSettings.breakerThreshold && openUntil ? "half-open" : "closed", failures };
+}
+
+// Store the tokens from a login or refresh response
+function storeAuthResponse(profile, data) {
+    const token = extractToken(data);
+    if (!token) {
+        throw new Error("No token in authentication response");
+    }
+
+    const expiresIn = Number(data.expiresIn ?? data.expires_in);
+    profile.authToken = token;
+    profile.authExpiry =
+        getTokenExpiry(token) ||
+        (Number.isFinite(expiresIn) && expiresIn > 0 ? Date.now() + expiresIn * 1000 : Date.now() + DEFAULT_TOKEN_LIFETIME);
+    profile.refreshToken = data.refreshToken || data.refresh_token || data.data?.refreshToken || profile.refreshToken;
+
+    return token;
+}
+
+async function refreshAuthToken(profile) {
+    const response = await axios.post(
+        `${profile.url}/auth/refresh`,
+        { refreshToken: profile.refreshToken },
+        { timeout: requestSettings.timeout }
+    );
+    return storeAuthResponse(profile, response.data);
+}
+
+async function loginWithCredentials(profile) {
+    try {
+        const response = await axios.post(
+            `${profile.url}/auth/login`,
+            {
+                email: profile.email,
+                password: profile.password,
+            },
+            { timeout: requestSettings.timeout }
+        );
+        return storeAuthResponse(profile, response.data);
+    } catch (error) {
+        const apiError = BaasixApiError.fromAxiosError(error, {
+            method: "POST",
+            endpoint: "/auth/login",
+            profile: profile.name,
+        });
+        apiError.message = apiError.message.replace("Baasix API Error:", "Authentication failed:");
+        throw apiError;
+    }
+}
+
+// Renew the auto-login token: refresh token first, re-login only when needed
+async function renewAuthToken(profile) {
+    if (profile.refreshToken) {
+        try {
+            return await refreshAuthToken(profile);
+        } catch (error) {
+            // Refresh token expired or revoked, fall back to login
+            profile.refreshToken = null;
+        }
+    }
+
+    if (profile.email && profile.password) {
+        return loginWithCredentials(profile);
+    }
+
+    // Nothing to renew with, but the current token may still be usable
+    if (profile.authToken && profile.authExpiry && Date.now() < profile.authExpiry) {
+        return profile.authToken;
+    }
+
+    throw new Error(
+        profile.name === DEFAULT_PROFILE
+            ? "No authentication method available. Please provide BAASIX_AUTH_TOKEN or BAASIX_EMAIL/BAASIX_PASSWORD"
+            : `No authentication method available for profile "${profile.name}". Please provide authToken or email/password`
+    );
+}
+
+// Helper function to get valid auth token
+export async function getAuthToken(profile = getProfile()) {
+    // Priority 0: Use the session adopted from baasix_login/baasix_switch_tenant
+    const session = getSession(profile);
+    if (session) {
+        return session.token;
+    }
+
+    // Priority 1: Use provided token if available
+    if (profile.staticToken) {
+        return profile.staticToken;
+    }
+
+    // Priority 2: Check if current token is still valid and not about to expire
+    if (profile.authToken && profile.authExpiry && Date.now() < profile.authExpiry - REFRESH_MARGIN) {
+        return profile.authToken;
+    }
+
+    // Priority 3: Refresh or auto-authenticate, sharing one request between concurrent calls
+    if (!profile.pendingAuth) {
+        profile.pendingAuth = renewAuthToken(profile).finally(() => {
+            profile.pendingAuth = null;
+        });
+    }
+    return profile.pendingAuth;
+}
+
+// Clear the auto-login token of a profile to force a new login
+export function clearAuthToken(profile = getProfile()) {
+    profile.authToken = null;
+    profile.authExpiry = null;
+}
+
+// Helper function to make authenticated requests
+export async function baasixRequest(endpoint, options = {}) {
+    const profile = getProfile();
+    const method = (options.method || "GET").toUpperCase();
+    const path = endpoint.split("?")[0];
+
+    const startedAt = Date.now();
+    const recordRequest = (status) => {
+        callContext.getStore()?.requests.push({ method, endpoint: path, status, durationMs: Date.now() - startedAt });
+    };
+
+    let probe;
+    try {
+        probe = checkCircuit(profile, path, method);
+    } catch (error) {
+        recordRequest(error.status);
+        throw error;
+    }
+
+    try {
+        const response = await sendAuthenticatedRequest(profile, endpoint, options, { method, endpoint: path });
+        recordCircuitResult(profile, null, probe);
+        recordRequest(response.status);
+        return response.data;
+    } catch (error) {
+        recordCircuitResult(profile, error, probe);
+        recordRequest(error.status ?? null);
+        throw error;
+    }
+}
+
+async function sendAuthenticatedRequest(profile, endpoint, options, { method, endpoint: path }) {
+    const token = await getAuthToken(profile);
+
+    const config = {
+        baseURL: profile.url,
+        ...options,
+        headers: {
+            "Content-Type": "application/json",
+            ...(token && { Authorization: `Bearer ${token}` }),
+            ...options.headers,
+        },
+    };
+
+    const errorInfo = { method, endpoint: path, profile: profile.name };
+
+    try {
+        return await sendRequest(endpoint, config);
+    } catch (error) {
+        // An adopted session cannot be renewed, so don't silently fall back to the configured identity
+        const session = getSession(profile);
+        if (error.response?.status === 401 && session) {
+            throw BaasixApiError.fromAxiosError(error, {
+                ...errorInfo,
+                hint: `the session from ${session.source} was rejected; call baasix_logout to revert to the configured identity`,
+            });
+        }
+
+        // If auth error and using auto-login, clear token and retry once
+        if (error.response?.status === 401 && token && !profile.staticToken) {
+            // Another call may already have renewed the token
+            if (profile.authToken === token) {
+                clearAuthToken(profile);
+            }
+
+            try {
+                const newToken = await getAuthToken(profile);
+                if (newToken) {
+                    config.headers.Authorization = `Bearer ${newToken}`;
+                    return await sendRequest(endpoint, config);
+                }
+            } catch (retryError) {
+                if (retryError instanceof BaasixApiError) throw retryError;
+                throw BaasixApiError.fromAxiosError(retryError, errorInfo);
+            }
+        }
+
+        throw BaasixApiError.fromAxiosError(error, errorInfo);
+    }
+}
@@ -0,0 +1,193 @@
+/**
+ * Deep clone of items
+ * Copies an item together with a chosen set of its relations: O2M children are copied, M2M relations are
+ * re-linked (or their related records copied as well) and M2O references are kept as they are. When a write
+ * fails, the copies made so far are deleted again
+ */
+
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { describeItemError } from "./bulk.js";
+import { getPrimaryKey, getRelationKind, isRelationField } from "./fields.js";
+import { rollBack } from "./nested.js";
+
+export const CLONE_MODES = ["copy", "link"];
+
+// Fields Baasix manages itself and that are never copied
+const SYSTEM_FIELDS = ["createdAt", "updatedAt", "deletedAt"];
+
+function invalid(message) {
+    return new McpError(ErrorCode.InvalidParams, message);
+}
+
+// {"tasks": "copy", "tasks.subtasks": "copy"} -> {tasks: {mode, children: {subtasks: {...}}}}
+function buildRelationTree(relations) {
+    const tree = {};
+    for (const [path, mode] of Object.entries(relations)) {
+        if (!CLONE_MODES.includes(mode)) {
+            throw invalid(`relations["${path}"] must be one of: ${CLONE_MODES.join(", ")}`);
+        }
+
+        let level = tree;
+        path.split(".").forEach((name, index, segments) => {
+            level[name] = level[name] || { mode: null, children: {} };
+            if (index === segments.length - 1) level[name].mode = mode;
+            level = level[name].children;
+        });
+    }
+    return tree;
+}
+
+/**
+ * Check the relation tree against the collection schemas before anything is written
+ * @returns {Promise<{ collection: string, fields: object, primaryKey: string, relations: object[] }>}
+ */
+async function resolvePlan(getFields, collection, tree, path = "") {
+    const fields = await getFields(collection);
+    if (Object.keys(fields).length === 0) {
+        throw invalid(`Schema of collection "${collection}" has no fields to copy`);
+    }
+    const relations = [];
+
+    for (const [name, { mode, children }] of Object.entries(tree)) {
+        const relationPath = path ? `${path}.${name}` : name;
+        const field = fields[name];
+        if (!field || !isRelationField(field)) {
+            throw invalid(`"${relationPath}" is not a relation of collection "${collection}"`);
+        }
+
+        const kind = getRelationKind(field);
+        const hasChildren = Object.keys(children).length > 0;
+        // Relations only named on the way to a nested one default to copy
+        const relationMode = mode || (kind === "M2O" ? "link" : "copy");
+
+        if (kind === "M2O") {
+            if (relationMode === "copy" || hasChildren) {
+                throw invalid(`"${relationPath}" is an M2O relation; clones keep referencing the same record`);
+            }
+            continue;
+        }
+        if (!kind || kind === "M2A" || !field.target) {
+            throw invalid(`"${relationPath}" is a ${field.relType} relation, which cannot be cloned`);
+        }
+        if (kind === "O2M" && relationMode === "link") {
+            throw invalid(`"${relationPath}" is an O2M relation; its records belong to one parent, so they can only be copied`);
+        }
+        if (kind === "O2M" && !field.foreignKey) {
+            throw invalid(`Schema of "${relationPath}" does not name its foreignKey`);
+        }
+        if (kind === "M2M") {
+            if (!field.through || !field.foreignKey || !field.otherKey) {
+                throw invalid(`Schema of "${relationPath}" does not name its through, foreignKey and otherKey`);
+            }
+            if (relationMode === "link" && hasChildren) {
+                throw invalid(`"${relationPath}" is linked, not copied, so relations below it cannot be cloned`);
+            }
+        }
+
+        relations.push({
+            name,
+            path: relationPath,
+            kind,
+            mode: relationMode,
+            field,
+            plan: relationMode === "copy" ? await resolvePlan(getFields, field.target, children, relationPath) : null,
+        });
+    }
+
+    return { collection, fields, primaryKey: getPrimaryKey(fields), relations };
+}
+
+// Stored column values of a record, without its key, timestamps and (virtual) relation fields
+function copyableData(record, { fields, primaryKey }) {
+    const data = {};
+    for (const [name, field] of Object.entries(fields)) {
+        if (name === primaryKey || field.autoIncrement || isRelationField(field) || SYSTEM_FIELDS.includes(name)) continue;
+        if (record[name] !== undefined) data[name] = record[name];
+    }
+    return data;
+}
+
+/**
+ * Clone an item and the chosen relations
+ * @param {object} api - getFields(collection), getItem(collection, id), listItems(collection, filter),
+ *   createItem(collection, data) resolving to the new ID and deleteItem(collection, id)
+ * @param {object} options - collection, id, relations (relation path -> "copy" | "link"), overrides for the
+ *   cloned item and maxItems, the most records that may be written
+ * @returns {Promise<object>} id of the clone, idMap (collection -> old ID -> new ID), created and linked
+ *   counts; when a write fails, the error and the outcome of deleting what had been created
+ */
+export async function cloneItem(api, { collection, id, relations = {}, overrides = {}, maxItems = Infinity }) {
+    const plan = await resolvePlan(api.getFields, collection, buildRelationTree(relations));
+    const source = await api.getItem(collection, id);
+
+    const idMap = {};
+    const linked = {};
+    // Every record written, copies and junction rows, in order
+    const created = [];
+
+    const create = async (target, data) => {
+        if (created.length >= maxItems) {
+            throw new Error(`Clone would write more than ${maxItems} records`);
+        }
+        const newId = await api.createItem(target, data);
+        created.push({ collection: target, id: newId });
+        return newId;
+    };
+
+    const copyRecord = async (record, recordPlan, values) => {
+        const oldId = record[recordPlan.primaryKey];
+        const copies = (idMap[recordPlan.collection] = idMap[recordPlan.collection] || {});
+        // Records reached twice (e.g. a tag shared by two copied children) are copied once
+        if (oldId != null && copies[oldId] !== undefined) return copies[oldId];
+
+        const newId = await create(recordPlan.collection, { ...copyableData(record, recordPlan), ...values });
+        if (oldId != null) copies[oldId] = newId;
+
+        for (const relation of recordPlan.relations) {
+            const { field } = relation;
+
+            if (relation.kind === "O2M") {
+                const children = await api.listItems(field.target, { [field.foreignKey]: { eq: oldId } });
+                for (const child of children) {
+                    await copyRecord(child, relation.plan, { [field.foreignKey]: newId });
+                }
+                continue;
+            }
+
+            // M2M: one junction row per related record
+            const rows = await api.listItems(field.through, { [field.foreignKey]: { eq: oldId } });
+            for (const row of rows) {
+                let relatedId = row[field.otherKey];
+                if (relation.mode === "copy") {
+                    const related = await api.getItem(field.target, relatedId);
+                    relatedId = await copyRecord(related, relation.plan, {});
+                }
+                await create(field.through, { [field.foreignKey]: newId, [field.otherKey]: relatedId });
+                linked[relation.path] = (linked[relation.path] || 0) + 1;
+            }
+        }
+        return newId;
+    };
+
+    const summarize = (newId) => ({
+        collection,
+        sourceId: id,
+        id: newId,
+        created: Object.values(idMap).reduce((total, copies) => total + Object.keys(copies).length, 0),
+        linked,
+        idMap,
+    });
+
+    try {
+        const newId = await copyRecord(source, plan, overrides);
+        return { ...summarize(newId), complete: true };
+    } catch (error) {
+        return {
+            collection,
+            sourceId: id,
+            complete: false,
+            error: describeItemError(error),
+            ...(await rollBack(api, created)),
+        };
+    }
+}
@@ -1,6 +1,6 @@
 /**
  * Configuration utility for Baasix MCP Server
- * Handles environment variable loading and validation
+ * Handles environment variable and config file loading and validation
  */
 
 import { config as dotenvConfig } from 'dotenv';
@@ -15,13 +15,42 @@ const __dirname = dirname(__filename);
 const DEFAULT_CONFIG = {
   BAASIX_URL: 'http://localhost:8056',
   BAASIX_EMAIL: 'admin@baasix.com',
-  BAASIX_PASSWORD: 'admin@123'
+  BAASIX_PASSWORD: 'admin@123',
+  BAASIX_MCP_TRANSPORT: 'stdio',
+  BAASIX_MCP_HOST: '127.0.0.1',
+  BAASIX_MCP_PORT: '8057',
+  BAASIX_MCP_SESSION_TTL: '30',
+  BAASIX_MCP_MODE: 'full',
+  BAASIX_MCP_MODE_BEHAVIOR: 'hide'
 };
 
+// Supported MCP transports
+export const TRANSPORTS = ['stdio', 'http'];
+
+// Tool access modes: full (everything), safe (no deletes), readonly (no writes)
+export const MODES = ['full', 'safe', 'readonly'];
+
+// What happens to tools a mode blocks: hide them from the tool list, or list them and refuse calls
+export const MODE_BEHAVIORS = ['hide', 'refuse'];
+
+// Load a JSON config file (keys are the same as the environment variables)
+export function loadConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Config file not found: ${filePath}`);
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid config file ${filePath}: ${error.message}`);
+  }
+}
+
 // Load environment variables with priority
 export function loadEnvironmentConfig(options = {}) {
   const {
     envPath = null,
+    configPath = null,
     useDefaults = true,
     processEnv = true
   } = options;
@@ -33,8 +62,14 @@ export function loadEnvironmentConfig(options = {}) {
     config = { ...DEFAULT_CONFIG };
   }
 
-  // 2. Load from .env file (look in mcp root directory)
+  // 2. Load from JSON config file (BAASIX_MCP_CONFIG or baasix-mcp.json in mcp root directory)
   const mcpRootPath = join(__dirname, '..');
+  const configFile = configPath || process.env.BAASIX_MCP_CONFIG;
+  if (configFile || fs.existsSync(join(mcpRootPath, 'baasix-mcp.json'))) {
+    config = { ...config, ...loadConfigFile(configFile || join(mcpRootPath, 'baasix-mcp.json')) };
+  }
+
+  // 3. Load from .env file (look in mcp root directory)
   if (envPath || fs.existsSync(join(mcpRootPath, '.env'))) {
     const dotenvPath = envPath || join(mcpRootPath, '.env');
     const result = dotenvConfig({ path: dotenvPath });
@@ -43,13 +78,35 @@ export function loadEnvironmentConfig(options = {}) {
     }
   }
 
-  // 3. Override with process environment variables
+  // 4. Override with process environment variables
   if (processEnv) {
     const envVars = [
       'BAASIX_URL',
       'BAASIX_AUTH_TOKEN',
       'BAASIX_EMAIL',
-      'BAASIX_PASSWORD'
+      'BAASIX_PASSWORD',
+      'BAASIX_PROFILES',
+      'BAASIX_DEFAULT_PROFILE',
+      'BAASIX_REQUEST_TIMEOUT',
+      'BAASIX_RETRY_ATTEMPTS',
+      'BAASIX_RETRY_BASE_DELAY',
+      'BAASIX_RETRY_MAX_DELAY',
+      'BAASIX_CIRCUIT_BREAKER_THRESHOLD',
+      'BAASIX_CIRCUIT_BREAKER_COOLDOWN',
+      'BAASIX_MCP_TRANSPORT',
+      'BAASIX_MCP_HOST',
+      'BAASIX_MCP_PORT',
+      'BAASIX_MCP_AUTH_TOKEN',
+      'BAASIX_MCP_SESSION_TTL',
+      'BAASIX_MCP_MODE',
+      'BAASIX_MCP_MODE_BEHAVIOR',
+      'BAASIX_MCP_ENABLED_TOOLS',
+      'BAASIX_MCP_DISABLED_TOOLS',
+      'BAASIX_MCP_AUDIT_LOG',
+      'BAASIX_MCP_DATA_DIR',
+      'BAASIX_MCP_VALIDATE_FILTERS',
+      'BAASIX_SCHEMA_CACHE_TTL',
+      'BAASIX_MCP_MAX_RESPONSE_BYTES'
     ];
 
     envVars.forEach(key => {
@@ -93,6 +150,43 @@ export function validateConfig(config) {
     }
   }
 
+  // Mode validation
+  if (config.BAASIX_MCP_MODE && !MODES.includes(config.BAASIX_MCP_MODE)) {
+    errors.push(`BAASIX_MCP_MODE must be one of: ${MODES.join(', ')}`);
+  }
+
+  if (config.BAASIX_MCP_MODE_BEHAVIOR && !MODE_BEHAVIORS.includes(config.BAASIX_MCP_MODE_BEHAVIOR)) {
+    errors.push(`BAASIX_MCP_MODE_BEHAVIOR must be one of: ${MODE_BEHAVIORS.join(', ')}`);
+  }
+
+  // Transport validation
+  const transport = config.BAASIX_MCP_TRANSPORT || 'stdio';
+  if (!TRANSPORTS.includes(transport)) {
+    errors.push(`BAASIX_MCP_TRANSPORT must be one of: ${TRANSPORTS.join(', ')}`);
+  }
+
+  if (transport === 'http') {
+    const port = Number(config.BAASIX_MCP_PORT);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      errors.push('BAASIX_MCP_PORT must be a valid port number');
+    }
+
+    const ttl = Number(config.BAASIX_MCP_SESSION_TTL);
+    if (config.BAASIX_MCP_SESSION_TTL && (!Number.isFinite(ttl) || ttl < 0)) {
+      errors.push('BAASIX_MCP_SESSION_TTL must be a non-negative number of minutes');
+    }
+
+    // Remote clients read and write local files through the import/export tools, so the directory must be chosen
+    if (!config.BAASIX_MCP_DATA_DIR) {
+      errors.push('BAASIX_MCP_DATA_DIR must be set when BAASIX_MCP_TRANSPORT is http');
+    }
+
+    const loopback = ['127.0.0.1', 'localhost', '::1'].includes(config.BAASIX_MCP_HOST);
+    if (!config.BAASIX_MCP_AUTH_TOKEN && !loopback) {
+      warnings.push('HTTP transport is listening on a non-loopback host without BAASIX_MCP_AUTH_TOKEN');
+    }
+  }
+
   return { errors, warnings, isValid: errors.length === 0 };
 }
 
@@ -0,0 +1,84 @@
+/**
+ * CSV helpers for item export and import
+ */
+
+// Flatten nested objects (relations, JSON fields) into dot-separated columns.
+// Arrays are kept whole and written as JSON.
+export function flattenRow(row, prefix = "", result = {}) {
+    for (const [key, value] of Object.entries(row || {})) {
+        const column = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === "object" && !Array.isArray(value) && !(value instanceof Date)) {
+            flattenRow(value, column, result);
+        } else {
+            result[column] = value;
+        }
+    }
+    return result;
+}
+
+// Format one value as a CSV field (RFC 4180 quoting)
+export function formatCsvValue(value) {
+    if (value === null || value === undefined) return "";
+
+    const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+    if (/[",\r\n]/.test(text) || text !== text.trim()) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+// Format a CSV line (without line terminator)
+export function formatCsvLine(values) {
+    return values.map(formatCsvValue).join(",");
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, newlines inside quotes)
+ * @returns {string[][]} Rows of fields; blank lines are skipped
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // skip a byte order mark
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== "") rows.push(row);
+        row = [];
+        field = "";
+    };
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === "") {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error("Invalid CSV: unterminated quoted field");
+    }
+    if (field !== "" || row.length > 0) endRow();
+
+    return rows;
+}
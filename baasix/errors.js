@@ -0,0 +1,82 @@
+/**
+ * Error types for Baasix MCP Server
+ * Carries HTTP status, endpoint and server error details from failed Baasix requests
+ */
+
+import { ErrorCode } from "@modelcontextprotocol/sdk/types.js";
+
+// Map an HTTP status to the closest MCP error code
+export function mcpErrorCodeForStatus(status) {
+    if (status === 400 || status === 422) return ErrorCode.InvalidParams;
+    if (status === 401 || status === 403 || status === 404 || status === 405 || status === 409) {
+        return ErrorCode.InvalidRequest;
+    }
+    return ErrorCode.InternalError;
+}
+
+const ERROR_CODE_NAMES = Object.fromEntries(Object.entries(ErrorCode).map(([name, code]) => [code, name]));
+
+export class BaasixApiError extends Error {
+    /**
+     * @param {string} message - Human readable message
+     * @param {object} info - status, code, method, endpoint, profile and field-level details
+     */
+    constructor(message, { status = null, code = null, method = null, endpoint = null, profile = null, details = null } = {}) {
+        super(message);
+        this.name = "BaasixApiError";
+        this.status = status;
+        this.code = code;
+        this.method = method;
+        this.endpoint = endpoint;
+        this.profile = profile;
+        this.details = details;
+        this.mcpErrorCode = mcpErrorCodeForStatus(status);
+    }
+
+    // Build from an axios error
+    static fromAxiosError(error, { method, endpoint, profile, hint } = {}) {
+        const data = error.response?.data;
+        const serverError = data?.error && typeof data.error === "object" ? data.error : data || {};
+        const serverMessage =
+            serverError.message || (typeof data?.error === "string" ? data.error : null) || data?.message || error.message;
+
+        return new BaasixApiError(`Baasix API Error: ${serverMessage}${hint ? ` (${hint})` : ""}`, {
+            status: error.response?.status ?? null,
+            code: serverError.code || data?.code || (error.response ? null : error.code) || null,
+            method: (method || error.config?.method || "GET").toUpperCase(),
+            endpoint,
+            profile,
+            details: serverError.details || serverError.errors || data?.details || data?.errors || null,
+        });
+    }
+
+    toJSON() {
+        return {
+            error: {
+                type: "baasix_api_error",
+                message: this.message,
+                status: this.status,
+                code: this.code,
+                method: this.method,
+                endpoint: this.endpoint,
+                profile: this.profile,
+                details: this.details,
+                mcpErrorCode: this.mcpErrorCode,
+                mcpErrorName: ERROR_CODE_NAMES[this.mcpErrorCode],
+            },
+        };
+    }
+}
+
+// Tool result for a failed Baasix request, marked isError with a machine-readable body
+export function toolErrorResult(error) {
+    return {
+        isError: true,
+        content: [
+            {
+                type: "text",
+                text: JSON.stringify(error.toJSON(), null, 2),
+            },
+        ],
+    };
+}
@@ -0,0 +1,120 @@
+/**
+ * Export collection data to CSV, NDJSON or JSON files
+ * Pages are written to disk as they arrive so large collections never sit in memory
+ */
+
+import fs from "fs";
+import readline from "readline";
+import { dirname, extname } from "path";
+import { flattenRow, formatCsvLine } from "./csv.js";
+
+export const EXPORT_FORMATS = ["csv", "ndjson", "json"];
+
+const EXTENSION_FORMATS = {
+    ".csv": "csv",
+    ".ndjson": "ndjson",
+    ".jsonl": "ndjson",
+    ".json": "json",
+};
+
+// Format from the file extension, or null if it is not recognised
+export function formatFromPath(filePath) {
+    return EXTENSION_FORMATS[extname(filePath).toLowerCase()] || null;
+}
+
+// Add the keys of an object to an ordered column set
+function collectColumns(columns, row) {
+    for (const key of Object.keys(row)) columns.add(key);
+}
+
+/**
+ * Page through a query and write every row to a file
+ * @param {(page: number) => Promise<{ data?: object[], totalCount?: number }>} fetchPage
+ * @param {object} options - filePath (resolved; replaced if it exists), format, pageSize and onProgress(rows, totalCount)
+ * @returns {Promise<{ path: string, format: string, rows: number, columns: string[], bytes: number,
+ *   pagesFetched: number, totalCount: number | null }>}
+ */
+export async function exportToFile(fetchPage, { filePath, format, pageSize, onProgress }) {
+    await fs.promises.mkdir(dirname(filePath), { recursive: true });
+
+    // Rows go to a scratch file first: NDJSON/JSON is renamed into place when complete,
+    // CSV needs every column before the header can be written
+    const partialPath = `${filePath}.partial`;
+    const columns = new Set();
+    let rows = 0;
+    let pagesFetched = 0;
+    let totalCount = null;
+
+    const scratch = await fs.promises.open(partialPath, "w");
+    try {
+        if (format === "json") await scratch.write("[\n");
+
+        for (let page = 1; ; page++) {
+            const result = await fetchPage(page);
+            const data = result?.data || [];
+            pagesFetched++;
+            if (typeof result?.totalCount === "number") totalCount = result.totalCount;
+
+            const lines = [];
+            for (const row of data) {
+                const record = format === "csv" ? flattenRow(row) : row;
+                collectColumns(columns, record);
+                const json = JSON.stringify(record);
+                lines.push(format === "json" ? `${rows > 0 ? ",\n" : ""}  ${json}` : `${json}\n`);
+                rows++;
+            }
+            if (lines.length > 0) await scratch.write(lines.join(""));
+
+            await onProgress?.(rows, totalCount);
+            if (data.length < pageSize || (totalCount !== null && rows >= totalCount)) break;
+        }
+
+        if (format === "json") await scratch.write(`${rows > 0 ? "\n" : ""}]\n`);
+    } catch (error) {
+        await scratch.close();
+        await fs.promises.rm(partialPath, { force: true });
+        throw error;
+    }
+    await scratch.close();
+
+    try {
+        if (format === "csv") {
+            await writeCsv(partialPath, filePath, [...columns]);
+        } else {
+            await fs.promises.rename(partialPath, filePath);
+        }
+    } finally {
+        await fs.promises.rm(partialPath, { force: true });
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+    return { path: filePath, format, rows, columns: [...columns], bytes: size, pagesFetched, totalCount };
+}
+
+// Convert the flattened NDJSON scratch file into CSV
+async function writeCsv(sourcePath, filePath, columns) {
+    const csvPath = `${filePath}.csv-partial`;
+    const output = await fs.promises.open(csvPath, "w");
+    try {
+        await output.write(`${formatCsvLine(columns)}\n`);
+
+        const input = readline.createInterface({ input: fs.createReadStream(sourcePath, "utf8"), crlfDelay: Infinity });
+        let buffer = [];
+        for await (const line of input) {
+            if (!line) continue;
+            const row = JSON.parse(line);
+            buffer.push(formatCsvLine(columns.map((column) => row[column])));
+            if (buffer.length >= 1000) {
+                await output.write(`${buffer.join("\n")}\n`);
+                buffer = [];
+            }
+        }
+        if (buffer.length > 0) await output.write(`${buffer.join("\n")}\n`);
+    } catch (error) {
+        await output.close();
+        await fs.promises.rm(csvPath, { force: true });
+        throw error;
+    }
+    await output.close();
+    await fs.promises.rename(csvPath, filePath);
+}
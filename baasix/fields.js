@@ -0,0 +1,220 @@
+/**
+ * Schema field helpers
+ * Coerces raw values (CSV text, JSON) to Baasix field types and checks field validation rules
+ */
+
+const INTEGER_TYPES = ["integer", "bigint"];
+const NUMBER_TYPES = ["decimal", "float", "real", "double"];
+const JSON_TYPES = ["jsonb", "json", "geometry", "geography"];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?$/;
+
+// Baasix relation type -> relationship kind
+const RELATION_KINDS = {
+    BelongsTo: "M2O",
+    HasMany: "O2M",
+    HasOne: "O2M",
+    BelongsToMany: "M2M",
+};
+
+const TRUE_VALUES = ["true", "1", "yes", "y", "t"];
+const FALSE_VALUES = ["false", "0", "no", "n", "f"];
+
+// Lowercase field type ("String", "DateTime", ...)
+export function getFieldType(field) {
+    return String(field?.type || "").toLowerCase();
+}
+
+// Relation fields (BelongsTo, HasMany, ...) are virtual; their foreign key is a separate field
+export function isRelationField(field) {
+    return Boolean(field?.relType);
+}
+
+// Relationship kind of a relation field: M2O, O2M, M2M or M2A (null for other fields)
+export function getRelationKind(field) {
+    if (!isRelationField(field)) return null;
+    if (field.relType === "M2A" || Array.isArray(field.tables)) return "M2A";
+    return RELATION_KINDS[field.relType] || null;
+}
+
+// Name of the primary key field, "id" unless the schema marks another one
+export function getPrimaryKey(fields) {
+    return Object.keys(fields).find((name) => fields[name]?.primaryKey) || "id";
+}
+
+// Allowed values of an Enum field
+export function getEnumValues(field) {
+    return field?.values?.values || field?.values?.enum || [];
+}
+
+// A field that must be given a value when creating an item
+export function isRequiredField(field) {
+    return (
+        field?.allowNull === false &&
+        field.defaultValue === undefined &&
+        !field.primaryKey &&
+        !field.autoIncrement &&
+        !isRelationField(field)
+    );
+}
+
+function isUrl(value) {
+    try {
+        new URL(value);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function parseJson(value) {
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        throw new Error(`is not valid JSON (${error.message})`);
+    }
+}
+
+/**
+ * Coerce a raw value to the type of a schema field
+ * @param {any} value - Value from a file (strings from CSV, any JSON value from NDJSON)
+ * @param {object} field - Field definition from /schemas/{collection}
+ * @returns {any} The coerced value
+ * @throws {Error} With a message such as "must be an integer" when the value does not fit the type
+ */
+export function coerceFieldValue(value, field) {
+    if (value === null || value === undefined) return value;
+
+    const type = getFieldType(field);
+    const text = typeof value === "string" ? value.trim() : value;
+
+    if (INTEGER_TYPES.includes(type)) {
+        const number = typeof text === "number" ? text : /^[-+]?\d+$/.test(text) ? Number(text) : NaN;
+        if (!Number.isInteger(number)) throw new Error("must be an integer");
+        // Keep BigInt values that do not fit a JS number exact
+        return Number.isSafeInteger(number) ? number : String(text);
+    }
+
+    if (NUMBER_TYPES.includes(type)) {
+        const number = typeof text === "number" ? text : text === "" ? NaN : Number(text);
+        if (!Number.isFinite(number)) throw new Error("must be a number");
+        return number;
+    }
+
+    if (type === "boolean") {
+        if (typeof value === "boolean") return value;
+        const normalized = String(text).toLowerCase();
+        if (TRUE_VALUES.includes(normalized)) return true;
+        if (FALSE_VALUES.includes(normalized)) return false;
+        throw new Error("must be a boolean (true/false, yes/no or 1/0)");
+    }
+
+    if (type === "date" || type === "datetime") {
+        const time = Date.parse(text);
+        if (typeof text !== "string" || Number.isNaN(time)) throw new Error("must be a valid date");
+        return type === "date" ? new Date(time).toISOString().slice(0, 10) : new Date(time).toISOString();
+    }
+
+    if (type === "time") {
+        if (typeof text !== "string" || !TIME_PATTERN.test(text)) throw new Error("must be a time (HH:MM or HH:MM:SS)");
+        return text;
+    }
+
+    if (type === "uuid") {
+        if (typeof text !== "string" || !UUID_PATTERN.test(text)) throw new Error("must be a UUID");
+        return text;
+    }
+
+    if (type === "enum") {
+        const allowed = getEnumValues(field);
+        if (allowed.length > 0 && !allowed.includes(text)) {
+            throw new Error(`must be one of: ${allowed.join(", ")}`);
+        }
+        return text;
+    }
+
+    if (type === "array") {
+        let items = value;
+        if (typeof value === "string") {
+            items = text.startsWith("[") ? parseJson(text) : text === "" ? [] : text.split(",").map((item) => item.trim());
+        }
+        if (!Array.isArray(items)) throw new Error("must be an array");
+        if (!field.values?.type) return items;
+
+        const itemField = { type: field.values.type };
+        return items.map((item, index) => {
+            try {
+                return coerceFieldValue(item, itemField);
+            } catch (error) {
+                throw new Error(`item ${index} ${error.message}`);
+            }
+        });
+    }
+
+    if (JSON_TYPES.includes(type) || isRelationField(field)) {
+        return typeof value === "string" ? parseJson(text) : value;
+    }
+
+    // String, Text, SUID and other text-like types
+    return typeof value === "string" ? value : typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Check a (coerced) value against a field's validate rules and allowNull
+ * @returns {string[]} Problems, e.g. ["must not be empty", "must be a valid email"]
+ */
+export function validateFieldValue(value, field) {
+    if (value === null || value === undefined) {
+        return field?.allowNull === false && !isRelationField(field) ? ["must not be null"] : [];
+    }
+
+    const rules = field?.validate || {};
+    const errors = [];
+    const length = typeof value === "string" || Array.isArray(value) ? value.length : null;
+
+    if (rules.notEmpty && (length === 0 || (typeof value === "string" && value.trim() === ""))) {
+        errors.push("must not be empty");
+    }
+    if (rules.isEmail && !(typeof value === "string" && EMAIL_PATTERN.test(value))) {
+        errors.push("must be a valid email");
+    }
+    if (rules.isUrl && !(typeof value === "string" && isUrl(value))) {
+        errors.push("must be a valid URL");
+    }
+    if (rules.isInt && !Number.isInteger(Number(value))) {
+        errors.push("must be an integer");
+    }
+    if (Array.isArray(rules.len) && length !== null) {
+        const [min, max] = rules.len;
+        if ((min != null && length < min) || (max != null && length > max)) {
+            errors.push(`length must be between ${min ?? 0} and ${max ?? "unlimited"}`);
+        }
+    }
+    if (rules.min != null && typeof value === "number" && value < rules.min) {
+        errors.push(`must be at least ${rules.min}`);
+    }
+    if (rules.max != null && typeof value === "number" && value > rules.max) {
+        errors.push(`must be at most ${rules.max}`);
+    }
+
+    const pattern = rules.is || rules.matches;
+    if (pattern && typeof value === "string") {
+        const [source, flags] = Array.isArray(pattern) ? pattern : [pattern];
+        let regex = null;
+        try {
+            regex = new RegExp(source, flags);
+        } catch (error) {
+            errors.push(`cannot be checked: the schema pattern ${source} is not a valid regular expression`);
+        }
+        if (regex && !regex.test(value)) errors.push(`must match ${source}`);
+    }
+
+    const maxLength = getFieldType(field) === "string" ? field.values?.length : null;
+    if (maxLength && typeof value === "string" && value.length > maxLength) {
+        errors.push(`must be at most ${maxLength} characters`);
+    }
+
+    return errors;
+}
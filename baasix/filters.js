@@ -0,0 +1,311 @@
+/**
+ * Filter validation
+ * Checks Baasix filter objects against collection schemas before they are sent, so that misspelled fields
+ * and operators that do not suit a field's type are reported with the exact path to the problem
+ */
+
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { getFieldType, isRelationField } from "./fields.js";
+
+export const LOGICAL_OPERATORS = ["AND", "OR", "NOT"];
+
+export const OPERATOR_GROUPS = {
+    common: ["eq", "neq", "in", "nin", "isNull", "empty"],
+    comparison: ["gt", "gte", "lt", "lte", "between", "nbetween"],
+    string: [
+        "contains",
+        "icontains",
+        "startswith",
+        "istartswith",
+        "endswith",
+        "iendswith",
+        "like",
+        "ilike",
+        "regex",
+        "iregex",
+    ],
+    array: ["arraycontains", "arraycontainsany", "arraylength", "arrayempty"],
+    json: ["jsoncontains", "jsoncontainedby", "jsonhaskey", "jsonhasanykeys", "jsonhasallkeys", "jsonpath"],
+    geo: ["dwithin", "intersects", "contains", "within", "overlaps"],
+};
+
+const ALL_OPERATORS = [...new Set(Object.values(OPERATOR_GROUPS).flat())];
+
+// Operator groups that suit each field type; unlisted types accept every operator
+const TYPE_OPERATOR_GROUPS = {
+    string: ["common", "comparison", "string"],
+    text: ["common", "comparison", "string"],
+    uuid: ["common", "comparison", "string"],
+    suid: ["common", "comparison", "string"],
+    enum: ["common", "comparison", "string"],
+    integer: ["common", "comparison"],
+    bigint: ["common", "comparison"],
+    decimal: ["common", "comparison"],
+    float: ["common", "comparison"],
+    real: ["common", "comparison"],
+    double: ["common", "comparison"],
+    date: ["common", "comparison"],
+    datetime: ["common", "comparison"],
+    time: ["common", "comparison"],
+    boolean: ["common"],
+    array: ["common", "array"],
+    jsonb: ["common", "json"],
+    json: ["common", "json"],
+    geometry: ["common", "geo"],
+    geography: ["common", "geo"],
+};
+
+// Fields Baasix adds to every collection (timestamps, soft deletes)
+const SYSTEM_FIELDS = {
+    id: { type: "UUID" },
+    createdAt: { type: "DateTime" },
+    updatedAt: { type: "DateTime" },
+    deletedAt: { type: "DateTime" },
+};
+
+// Expected value shape of operators that do not take a single scalar
+const OPERATOR_VALUES = {
+    in: "array",
+    nin: "array",
+    between: "pair",
+    nbetween: "pair",
+    isNull: "boolean",
+    empty: "boolean",
+    arrayempty: "boolean",
+    arraylength: "number",
+    arraycontains: "array",
+    arraycontainsany: "array",
+    jsonhasanykeys: "array",
+    jsonhasallkeys: "array",
+};
+
+// Operators allowed on a field
+export function getOperatorsForField(field) {
+    const groups = TYPE_OPERATOR_GROUPS[getFieldType(field)];
+    return groups ? [...new Set(groups.flatMap((group) => OPERATOR_GROUPS[group]))] : ALL_OPERATORS;
+}
+
+// Levenshtein distance, for "did you mean" suggestions
+function editDistance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diagonal = above;
+        }
+    }
+    return previous[b.length];
+}
+
+// Closest candidates to a misspelled name
+export function suggestNames(name, candidates, limit = 3) {
+    const lower = name.toLowerCase();
+    const maxDistance = Math.max(2, Math.floor(name.length / 3));
+    return candidates
+        .map((candidate) => ({
+            candidate,
+            distance: candidate.toLowerCase() === lower ? 0 : editDistance(lower, candidate.toLowerCase()),
+        }))
+        .filter(({ distance }) => distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit)
+        .map(({ candidate }) => candidate);
+}
+
+// Append a key to an issue path: filter.AND[0]["category.name"].eq
+function joinPath(path, key) {
+    if (typeof key === "number") return `${path}[${key}]`;
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function checkOperatorValue(operator, value) {
+    switch (OPERATOR_VALUES[operator]) {
+        case "array":
+            return Array.isArray(value) ? null : `${operator} expects an array`;
+        case "pair":
+            return Array.isArray(value) && value.length === 2 ? null : `${operator} expects an array of two values [from, to]`;
+        case "boolean":
+            return typeof value === "boolean" ? null : `${operator} expects true or false`;
+        case "number":
+            return typeof value === "number" ? null : `${operator} expects a number`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Create a filter validator
+ * @param {(collection: string) => Promise<object | null>} getFields - Field definitions of a collection,
+ *   or null when its schema cannot be read (that part of the filter is then not checked)
+ */
+export function createFilterValidator(getFields) {
+    // Resolve a (possibly dotted) field path to its field definition
+    async function resolveField(collection, fieldPath, path, issues) {
+        const segments = fieldPath.split(".");
+        let currentCollection = collection;
+
+        for (let i = 0; i < segments.length; i++) {
+            const fields = await getFields(currentCollection);
+            if (!fields) return null;
+
+            const name = segments[i];
+            const field = fields[name] || SYSTEM_FIELDS[name];
+            if (!field) {
+                const suggestions = suggestNames(name, [...Object.keys(fields), ...Object.keys(SYSTEM_FIELDS)]);
+                issues.push({
+                    path,
+                    message: `Unknown field "${name}" in collection "${currentCollection}"`,
+                    ...(suggestions.length > 0 && { suggestions }),
+                });
+                return null;
+            }
+
+            const isLast = i === segments.length - 1;
+            if (isLast) return { field, collection: currentCollection };
+
+            if (isRelationField(field)) {
+                // Polymorphic (M2A) relations have no single target to check against
+                if (!field.target) return null;
+                currentCollection = field.target;
+                continue;
+            }
+
+            // Paths into JSON fields address keys inside the document
+            if (TYPE_OPERATOR_GROUPS[getFieldType(field)]?.includes("json")) return null;
+
+            issues.push({ path, message: `"${name}" is not a relation, so "${fieldPath}" cannot be resolved` });
+            return null;
+        }
+        return null;
+    }
+
+    async function validateCondition(collection, fieldPath, condition, path, issues) {
+        const resolved = await resolveField(collection, fieldPath, path, issues);
+        if (!resolved) return;
+
+        const { field } = resolved;
+        if (!isPlainObject(condition)) {
+            issues.push({ path, message: `Condition for "${fieldPath}" must be an object such as {"eq": value}` });
+            return;
+        }
+
+        // Nested form {"category": {"name": {"eq": ...}}} filters on the related collection
+        if (isRelationField(field)) {
+            const keys = Object.keys(condition);
+            if (field.target && keys.length > 0 && keys.every((key) => !ALL_OPERATORS.includes(key))) {
+                await validateFilter(field.target, condition, path, issues);
+                return;
+            }
+            if (!keys.every((key) => ["isNull", "empty"].includes(key))) {
+                issues.push({
+                    path,
+                    message: `"${fieldPath}" is a relation; filter on one of its fields, e.g. "${fieldPath}.id"`,
+                });
+            }
+            return;
+        }
+
+        const allowed = getOperatorsForField(field);
+        for (const [operator, value] of Object.entries(condition)) {
+            const operatorPath = joinPath(path, operator);
+            if (!ALL_OPERATORS.includes(operator)) {
+                const suggestions = suggestNames(operator, ALL_OPERATORS);
+                issues.push({
+                    path: operatorPath,
+                    message: `Unknown operator "${operator}"`,
+                    ...(suggestions.length > 0 && { suggestions }),
+                });
+            } else if (!allowed.includes(operator)) {
+                issues.push({
+                    path: operatorPath,
+                    message: `Operator "${operator}" does not apply to ${field.type} field "${fieldPath}"`,
+                    allowed,
+                });
+            } else {
+                const problem = checkOperatorValue(operator, value);
+                if (problem) issues.push({ path: operatorPath, message: problem });
+            }
+        }
+    }
+
+    async function validateFilter(collection, filter, path, issues) {
+        if (!isPlainObject(filter)) {
+            issues.push({ path, message: "Filter must be an object" });
+            return;
+        }
+
+        for (const [key, value] of Object.entries(filter)) {
+            const keyPath = joinPath(path, key);
+
+            if (key === "AND" || key === "OR") {
+                if (!Array.isArray(value)) {
+                    issues.push({ path: keyPath, message: `${key} expects an array of filters` });
+                    continue;
+                }
+                for (let i = 0; i < value.length; i++) {
+                    await validateFilter(collection, value[i], joinPath(keyPath, i), issues);
+                }
+            } else if (key === "NOT") {
+                await validateFilter(collection, value, keyPath, issues);
+            } else if (LOGICAL_OPERATORS.includes(key.toUpperCase())) {
+                issues.push({ path: keyPath, message: `Logical operators are upper case: use "${key.toUpperCase()}"` });
+            } else {
+                await validateCondition(collection, key, value, keyPath, issues);
+            }
+        }
+    }
+
+    async function validateRelConditions(collection, relConditions, path, issues) {
+        if (!isPlainObject(relConditions)) {
+            issues.push({ path, message: "relConditions must be an object" });
+            return;
+        }
+
+        const fields = await getFields(collection);
+        if (!fields) return;
+
+        for (const [relation, filter] of Object.entries(relConditions)) {
+            const relationPath = joinPath(path, relation);
+            const field = fields[relation];
+            if (!field || !isRelationField(field)) {
+                const relations = Object.keys(fields).filter((name) => isRelationField(fields[name]));
+                const suggestions = suggestNames(relation, relations);
+                issues.push({
+                    path: relationPath,
+                    message: `"${relation}" is not a relation of collection "${collection}"`,
+                    ...(suggestions.length > 0 && { suggestions }),
+                });
+            } else if (field.target) {
+                await validateFilter(field.target, filter, relationPath, issues);
+            }
+        }
+    }
+
+    /**
+     * Validate the filter arguments of a query, throwing InvalidParams listing every problem
+     * @param {string} collection
+     * @param {object} query - filter and/or relConditions
+     */
+    return async function validateQueryFilters(collection, { filter, relConditions } = {}) {
+        const issues = [];
+        if (filter !== undefined) await validateFilter(collection, filter, "filter", issues);
+        if (relConditions !== undefined) await validateRelConditions(collection, relConditions, "relConditions", issues);
+
+        if (issues.length > 0) {
+            const describe = (issue) =>
+                `${issue.path}: ${issue.message}${issue.suggestions ? ` (did you mean ${issue.suggestions.join(", ")}?)` : ""}`;
+            throw new McpError(
+                ErrorCode.InvalidParams,
+                `Invalid filter for collection "${collection}": ${issues.map(describe).join("; ")}`,
+                { issues }
+            );
+        }
+    };
+}
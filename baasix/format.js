@@ -0,0 +1,189 @@
+/**
+ * Output formats for tool results
+ * Renders item, list and report results as JSON, compact JSON, Markdown tables, CSV or YAML, with column
+ * selection and truncation of long cells, so large results take less context
+ */
+
+import { flattenRow, formatCsvLine } from "./csv.js";
+
+export const OUTPUT_FORMATS = ["json", "compact-json", "markdown-table", "csv", "yaml"];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Value at a dot-separated path such as "category.name"
+function getPath(row, path) {
+    if (row && Object.prototype.hasOwnProperty.call(row, path)) return row[path];
+    return path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), row);
+}
+
+// Keep only the given columns, preserving nesting: ["id", "category.name"] -> {id, category: {name}}
+function pickColumns(row, columns) {
+    const result = {};
+    for (const column of columns) {
+        const value = getPath(row, column);
+        if (value === undefined) continue;
+
+        const keys = column.split(".");
+        let target = result;
+        keys.slice(0, -1).forEach((key) => {
+            target[key] = isPlainObject(target[key]) ? target[key] : {};
+            target = target[key];
+        });
+        target[keys[keys.length - 1]] = value;
+    }
+    return result;
+}
+
+function truncateText(text, maxLength) {
+    return maxLength && text.length > maxLength ? `${text.slice(0, maxLength)}… (${text.length} chars)` : text;
+}
+
+// Truncate every string inside a value
+function truncateStrings(value, maxLength) {
+    if (typeof value === "string") return truncateText(value, maxLength);
+    if (Array.isArray(value)) return value.map((item) => truncateStrings(item, maxLength));
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, truncateStrings(item, maxLength)]));
+    }
+    return value;
+}
+
+/**
+ * Find the rows of a tool result: the "data" array (or object, for single items), otherwise the first
+ * top-level array of objects, otherwise the result itself
+ * @returns {{ rows: object[], single: boolean, meta: object, rebuild: (rows: object[]) => any }}
+ */
+export function extractRows(result) {
+    if (Array.isArray(result)) {
+        return { rows: result, single: false, meta: {}, rebuild: (rows) => rows };
+    }
+    if (!isPlainObject(result)) {
+        return { rows: [{ value: result }], single: true, meta: {}, rebuild: () => result };
+    }
+
+    const key =
+        "data" in result && (Array.isArray(result.data) || isPlainObject(result.data))
+            ? "data"
+            : Object.keys(result).find((name) => Array.isArray(result[name]) && result[name].every(isPlainObject));
+    if (!key) {
+        return { rows: [result], single: true, meta: {}, rebuild: ([row]) => row };
+    }
+
+    const { [key]: value, ...meta } = result;
+    const single = !Array.isArray(value);
+    return {
+        rows: single ? [value] : value,
+        single,
+        meta,
+        rebuild: (rows) => ({ ...result, [key]: single ? rows[0] : rows }),
+    };
+}
+
+// Columns of flattened rows; a relation that is null in some rows ("category") is covered by its nested
+// columns ("category.name") from the others
+function getColumns(flatRows) {
+    const columns = [...new Set(flatRows.flatMap((row) => Object.keys(row)))];
+    return columns.filter((column) => !columns.some((other) => other.startsWith(`${column}.`)));
+}
+
+// Cell text for tables and CSV: nested values as JSON, long text truncated
+function cellText(value, maxLength) {
+    if (value === null || value === undefined) return "";
+    return truncateText(typeof value === "object" ? JSON.stringify(value) : String(value), maxLength);
+}
+
+function markdownCell(text) {
+    return text.replace(/\\/g, "\\\\").replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>");
+}
+
+function markdownTable(header, lines) {
+    const row = (cells) => `| ${cells.map(markdownCell).join(" | ")} |`;
+    return [row(header), `| ${header.map(() => "---").join(" | ")} |`, ...lines.map(row)].join("\n");
+}
+
+// Plain scalars stay unquoted; anything YAML could read differently is written as a JSON string
+function yamlScalar(value) {
+    if (value === null || value === undefined) return "null";
+    if (typeof value === "number" || typeof value === "boolean") return String(value);
+
+    const text = String(value);
+    const plain =
+        /^[A-Za-z_/][\w ./@+-]*$/.test(text) &&
+        text === text.trim() &&
+        !/^(true|false|null|yes|no|on|off|y|n)$/i.test(text);
+    return plain ? text : JSON.stringify(text);
+}
+
+function isBlock(value) {
+    return (Array.isArray(value) || isPlainObject(value)) && Object.keys(value).length > 0;
+}
+
+function toYaml(value, indent = "") {
+    if (Array.isArray(value)) {
+        if (value.length === 0) return `${indent}[]`;
+        return value
+            .map((item) => `${indent}- ${toYaml(item, `${indent}  `).trimStart()}`)
+            .join("\n");
+    }
+    if (isPlainObject(value)) {
+        const entries = Object.entries(value);
+        if (entries.length === 0) return `${indent}{}`;
+        return entries
+            .map(([key, item]) =>
+                isBlock(item)
+                    ? `${indent}${yamlScalar(key)}:\n${toYaml(item, `${indent}  `)}`
+                    : `${indent}${yamlScalar(key)}: ${toYaml(item).trimStart()}`
+            )
+            .join("\n");
+    }
+    return `${indent}${yamlScalar(value)}`;
+}
+
+/**
+ * Render a tool result
+ * @param {any} result - Parsed result of a tool
+ * @param {object} options - format (one of OUTPUT_FORMATS, default json), columns (dot-separated paths to keep)
+ *   and maxCellLength (longer text is cut off)
+ * @returns {string[]} Text blocks: the rendered result, then for tables and CSV a line with the remaining
+ *   fields of the result (totalCount, ...) when there are any
+ */
+export function formatOutput(result, { format = "json", columns, maxCellLength } = {}) {
+    const { rows, single, meta, rebuild } = extractRows(result);
+    const hasColumns = Array.isArray(columns) && columns.length > 0;
+
+    if (format === "json" || format === "compact-json" || format === "yaml") {
+        let selected = hasColumns ? rows.map((row) => pickColumns(row, columns)) : rows;
+        if (maxCellLength) selected = truncateStrings(selected, maxCellLength);
+        const output = hasColumns || maxCellLength ? rebuild(selected) : result;
+
+        if (format === "yaml") return [toYaml(output)];
+        return [format === "json" ? JSON.stringify(output, null, 2) : JSON.stringify(output)];
+    }
+
+    const flatRows = rows.map((row) => (isPlainObject(row) ? flattenRow(row) : { value: row }));
+    const header = hasColumns ? columns : getColumns(flatRows);
+    const cells = (row, original) =>
+        header.map((column) => cellText(column in row ? row[column] : getPath(original, column), maxCellLength));
+
+    let text;
+    if (format === "csv") {
+        text = [formatCsvLine(header), ...flatRows.map((row, i) => formatCsvLine(cells(row, rows[i])))].join("\n");
+    } else if (single) {
+        // One record reads better as a field/value list
+        const values = cells(flatRows[0], rows[0]);
+        text = markdownTable(
+            ["field", "value"],
+            header.map((column, i) => [column, values[i]])
+        );
+    } else {
+        text = rows.length === 0 ? "_No rows_" : markdownTable(header, flatRows.map((row, i) => cells(row, rows[i])));
+    }
+
+    const summary = Object.entries(meta)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}: ${typeof value === "object" ? JSON.stringify(value) : value}`)
+        .join(", ");
+    return summary ? [text, summary] : [text];
+}
@@ -0,0 +1,203 @@
+/**
+ * HTTP transport for Baasix MCP Server
+ * Serves Streamable HTTP (/mcp) and legacy SSE (/sse, /messages) endpoints
+ * so that several MCP clients can share one server process
+ */
+
+import http from "http";
+import { randomUUID, timingSafeEqual } from "crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+const MAX_BODY_SIZE = 4 * 1024 * 1024; // 4 MB
+
+// Send a JSON-RPC style error response
+function sendError(res, status, message, code = -32000) {
+    if (res.headersSent) return;
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ jsonrpc: "2.0", error: { code, message }, id: null }));
+}
+
+// Read and parse a JSON request body
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on("data", (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(new Error("Request body too large"));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on("end", () => {
+            if (chunks.length === 0) return resolve(undefined);
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+            } catch (error) {
+                reject(new Error("Invalid JSON body"));
+            }
+        });
+        req.on("error", reject);
+    });
+}
+
+// Check the bearer token guard (constant-time comparison)
+function isAuthorized(req, authToken) {
+    if (!authToken) return true;
+
+    const header = req.headers.authorization || "";
+    const [scheme, token] = header.split(" ");
+    if (scheme !== "Bearer" || !token) return false;
+
+    const expected = Buffer.from(authToken);
+    const received = Buffer.from(token);
+    return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+/**
+ * Start the HTTP transport
+ * @param {() => import("@modelcontextprotocol/sdk/server/index.js").Server} createServer - Creates a new MCP server per session
+ * @param {object} options - host, port, authToken, sessionTtl (minutes, 0 disables expiry) and
+ *   onSessionClosed(sessionId), called when a client session ends
+ * @returns {Promise<{ httpServer: http.Server, sessions: Map, close: () => Promise<void> }>}
+ */
+export async function startHttpServer(createServer, options = {}) {
+    const { host = "127.0.0.1", port = 8057, authToken, sessionTtl = 30, onSessionClosed = () => {} } = options;
+
+    // sessionId -> { type, transport, server, lastSeen }
+    const sessions = new Map();
+
+    const closeSession = async (sessionId) => {
+        const session = sessions.get(sessionId);
+        if (!session) return;
+        sessions.delete(sessionId);
+        onSessionClosed(sessionId);
+        try {
+            await session.server.close();
+        } catch (error) {
+            console.error(`[MCP HTTP] Failed to close session ${sessionId}:`, error);
+        }
+    };
+
+    const getSession = (sessionId, type) => {
+        const session = sessionId && sessions.get(sessionId);
+        if (!session || session.type !== type) return null;
+        session.lastSeen = Date.now();
+        return session;
+    };
+
+    // Streamable HTTP: POST/GET/DELETE /mcp
+    const handleStreamable = async (req, res) => {
+        const sessionId = req.headers["mcp-session-id"];
+        const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+
+        const existing = getSession(sessionId, "streamable");
+        if (existing) {
+            await existing.transport.handleRequest(req, res, body);
+            return;
+        }
+
+        if (req.method !== "POST" || sessionId || !isInitializeRequest(body)) {
+            sendError(res, sessionId ? 404 : 400, sessionId ? "Session not found" : "No valid session ID provided");
+            return;
+        }
+
+        const server = createServer();
+        const transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => randomUUID(),
+            onsessioninitialized: (id) => {
+                sessions.set(id, { type: "streamable", transport, server, lastSeen: Date.now() });
+            },
+        });
+        transport.onclose = () => {
+            if (transport.sessionId && sessions.delete(transport.sessionId)) onSessionClosed(transport.sessionId);
+        };
+
+        await server.connect(transport);
+        await transport.handleRequest(req, res, body);
+    };
+
+    // Legacy SSE: GET /sse opens the stream, POST /messages?sessionId= sends messages
+    const handleSseStream = async (req, res) => {
+        const server = createServer();
+        const transport = new SSEServerTransport("/messages", res);
+        sessions.set(transport.sessionId, { type: "sse", transport, server, lastSeen: Date.now() });
+        res.on("close", () => {
+            closeSession(transport.sessionId);
+        });
+        await server.connect(transport);
+    };
+
+    const handleSseMessage = async (req, res, url) => {
+        const session = getSession(url.searchParams.get("sessionId"), "sse");
+        if (!session) {
+            sendError(res, 404, "Session not found");
+            return;
+        }
+        const body = await readJsonBody(req);
+        await session.transport.handlePostMessage(req, res, body);
+    };
+
+    const httpServer = http.createServer(async (req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+
+        try {
+            // Open to probes without the bearer token; reports nothing beyond liveness and the session count
+            if (url.pathname === "/health" && req.method === "GET") {
+                res.writeHead(200, { "Content-Type": "application/json" });
+                res.end(JSON.stringify({ status: "ok", sessions: sessions.size }));
+                return;
+            }
+
+            if (!isAuthorized(req, authToken)) {
+                res.setHeader("WWW-Authenticate", "Bearer");
+                sendError(res, 401, "Unauthorized");
+                return;
+            }
+
+            if (url.pathname === "/mcp" && ["GET", "POST", "DELETE"].includes(req.method)) {
+                await handleStreamable(req, res);
+            } else if (url.pathname === "/sse" && req.method === "GET") {
+                await handleSseStream(req, res);
+            } else if (url.pathname === "/messages" && req.method === "POST") {
+                await handleSseMessage(req, res, url);
+            } else {
+                sendError(res, 404, "Not found");
+            }
+        } catch (error) {
+            console.error("[MCP HTTP] Request failed:", error);
+            sendError(res, 400, error.message || "Request failed");
+        }
+    });
+
+    // Expire idle sessions
+    let sweeper = null;
+    if (sessionTtl > 0) {
+        const ttlMs = sessionTtl * 60 * 1000;
+        sweeper = setInterval(() => {
+            const now = Date.now();
+            for (const [sessionId, session] of sessions) {
+                if (now - session.lastSeen > ttlMs) closeSession(sessionId);
+            }
+        }, Math.min(ttlMs, 60 * 1000));
+        sweeper.unref();
+    }
+
+    await new Promise((resolve, reject) => {
+        httpServer.once("error", reject);
+        httpServer.listen(port, host, resolve);
+    });
+
+    const close = async () => {
+        if (sweeper) clearInterval(sweeper);
+        await Promise.all([...sessions.keys()].map(closeSession));
+        await new Promise((resolve) => httpServer.close(() => resolve()));
+    };
+
+    return { httpServer, sessions, close };
+}
@@ -0,0 +1,119 @@
+/**
+ * Import items from CSV, NDJSON or JSON files
+ * Maps columns to collection fields, coerces values to the field types and validates every row before writing
+ */
+
+import fs from "fs";
+import { parseCsv } from "./csv.js";
+import { coerceFieldValue, isRequiredField, validateFieldValue } from "./fields.js";
+
+export const IMPORT_FORMATS = ["csv", "ndjson", "json"];
+
+/**
+ * Read the records of an import file
+ * @returns {Promise<Array<{ row: number, values: object | null, error?: string }>>} One entry per record,
+ *   numbered from 1. CSV cells that are empty are left out so field defaults apply.
+ */
+export async function readImportFile(filePath, format) {
+    const text = await fs.promises.readFile(filePath, "utf8");
+
+    if (format === "csv") {
+        const [header = [], ...lines] = parseCsv(text);
+        const columns = header.map((column) => column.trim());
+        return lines.map((cells, index) => {
+            const values = {};
+            cells.forEach((cell, i) => {
+                if (cell !== "") values[columns[i] ?? `column_${i + 1}`] = cell;
+            });
+            return { row: index + 1, values };
+        });
+    }
+
+    if (format === "json") {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON file: ${error.message}`);
+        }
+        if (!Array.isArray(data)) {
+            throw new Error("JSON import file must contain an array of objects");
+        }
+        return data.map((values, index) => toRecord(values, index + 1));
+    }
+
+    return text
+        .split(/\r?\n/)
+        .filter((line) => line.trim() !== "")
+        .map((line, index) => {
+            try {
+                return toRecord(JSON.parse(line), index + 1);
+            } catch (error) {
+                return { row: index + 1, values: null, error: `Invalid JSON: ${error.message}` };
+            }
+        });
+}
+
+function toRecord(values, row) {
+    if (!values || typeof values !== "object" || Array.isArray(values)) {
+        return { row, values: null, error: "Record is not an object" };
+    }
+    return { row, values };
+}
+
+/**
+ * Map, coerce and validate records against collection fields
+ * @param {Array<{ row: number, values: object | null, error?: string }>} records - From readImportFile
+ * @param {object} fields - Field definitions from /schemas/{collection}
+ * @param {object} options - mapping (column -> field, null to skip a column) and ignoreUnknownColumns
+ * @returns {{ rows: Array<{ row: number, data: object, errors: object[] }>, unknownColumns: string[] }}
+ */
+export function prepareImportRows(records, fields, { mapping = {}, ignoreUnknownColumns = false } = {}) {
+    const unknownColumns = new Set();
+
+    const rows = records.map(({ row, values, error }) => {
+        if (error) {
+            return { row, data: {}, errors: [{ message: error }] };
+        }
+
+        const data = {};
+        const errors = [];
+
+        for (const [column, raw] of Object.entries(values)) {
+            const fieldName = column in mapping ? mapping[column] : column;
+            if (!fieldName) continue;
+
+            const field = fields[fieldName];
+            if (!field) {
+                unknownColumns.add(column);
+                if (!ignoreUnknownColumns) {
+                    errors.push({ column, message: `Unknown column: no field "${fieldName}" in the collection` });
+                }
+                continue;
+            }
+
+            let value;
+            try {
+                value = coerceFieldValue(raw, field);
+            } catch (coerceError) {
+                errors.push({ column, field: fieldName, value: raw, message: `${fieldName} ${coerceError.message}` });
+                continue;
+            }
+
+            validateFieldValue(value, field).forEach((message) => {
+                errors.push({ column, field: fieldName, value: raw, message: `${fieldName} ${message}` });
+            });
+            data[fieldName] = value;
+        }
+
+        for (const [fieldName, field] of Object.entries(fields)) {
+            if (isRequiredField(field) && data[fieldName] === undefined && !errors.some((e) => e.field === fieldName)) {
+                errors.push({ field: fieldName, message: `${fieldName} is required` });
+            }
+        }
+
+        return { row, data, errors };
+    });
+
+    return { rows, unknownColumns: [...unknownColumns] };
+}
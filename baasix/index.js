@@ -1,101 +1,341 @@
+import fs from "fs";
+import { dirname } from "path";
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { CallToolRequestSchema, ErrorCode, ListToolsRequestSchema, McpError } from "@modelcontextprotocol/sdk/types.js";
-import { z } from "zod";
-import axios from "axios";
-import { loadEnvironmentConfig } from "./config.js";
+import { loadEnvironmentConfig, validateConfig } from "./config.js";
+import {
+    baasixRequest,
+    clearAuthToken,
+    clearClientSessions,
+    clearSession,
+    configureProfiles,
+    configureRequests,
+    extractToken,
+    getAuthToken,
+    getCircuitState,
+    getDefaultProfileName,
+    getProfile,
+    getProfileNames,
+    getSession,
+    getTokenExpiry,
+    runWithProfile,
+    setSession,
+} from "./client.js";
+import { startHttpServer } from "./http.js";
+import { buildToolValidators, validateToolArguments } from "./validation.js";
+import { createToolPolicy, getToolAccess, getToolCategory } from "./policy.js";
+import { BaasixApiError, toolErrorResult } from "./errors.js";
+import { createAuditLog, getResultSize, redactSecrets } from "./audit.js";
+import { BULK_LIMITS, BulkConflictError, runBulk } from "./bulk.js";
+import { PAGINATION_DEFAULTS, decodeCursor, encodeCursor, paginate } from "./pagination.js";
+import { EXPORT_FORMATS, exportToFile, formatFromPath } from "./export.js";
+import { resolveLocalPath } from "./paths.js";
+import { IMPORT_FORMATS, prepareImportRows, readImportFile } from "./import.js";
+import { createSchemaCache } from "./schema-cache.js";
+import { createFilterValidator } from "./filters.js";
+import { QuerySyntaxError, mergeFilters, parseWhere } from "./query.js";
+import { cloneItem } from "./clone.js";
+import { createNested } from "./nested.js";
+import { OUTPUT_FORMATS, formatOutput } from "./format.js";
+import { OVERFLOW_DEFAULTS, createOverflowStore, limitResponse } from "./overflow.js";
+import { SEED_LIMITS, generateRecords, getReferenceFields } from "./seed.js";
+import { diffSchemas, formatSchemaDiff, normalizeSchemas } from "./schema-diff.js";
+import { getPrimaryKey } from "./fields.js";
 
 // Load configuration
 const config = loadEnvironmentConfig();
 
-// Configuration from loaded config
-const BAASIX_URL = config.BAASIX_URL || "http://localhost:8056";
-const BAASIX_AUTH_TOKEN = config.BAASIX_AUTH_TOKEN;
-const BAASIX_EMAIL = config.BAASIX_EMAIL;
-const BAASIX_PASSWORD = config.BAASIX_PASSWORD;
-
-// Authentication state
-let authToken = null;
-let authExpiry = null;
+// Baasix instance profiles (BAASIX_URL/credentials form the "default" profile)
+configureProfiles(config);
+
+// Timeouts, retries and circuit breaking for outbound requests
+configureRequests(config);
+
+// Tool access policy (full, safe or readonly mode)
+const toolPolicy = createToolPolicy(config);
+
+// Optional JSONL audit log of tool calls
+const auditLog = createAuditLog(config);
+
+// Collection schemas used to validate filters and coerce imported values
+const schemaCache = createSchemaCache({
+    ttl: config.BAASIX_SCHEMA_CACHE_TTL !== undefined ? Number(config.BAASIX_SCHEMA_CACHE_TTL) : 60000,
+});
+
+// Full results of responses cut down by the response size guard, fetched with baasix_get_overflow
+const overflowStore = createOverflowStore();
+
+// Add the optional "profile" argument to every tool when more than one profile is configured
+function addProfileArgument(tools) {
+    const profileNames = getProfileNames();
+    if (profileNames.length < 2) return tools;
+
+    return tools.map((tool) => ({
+        ...tool,
+        inputSchema: {
+            ...tool.inputSchema,
+            properties: {
+                ...tool.inputSchema.properties,
+                profile: {
+                    type: "string",
+                    enum: profileNames,
+                    description: `Baasix instance profile to use (default: ${getDefaultProfileName()})`,
+                },
+            },
+        },
+    }));
+}
 
-// Helper function to get valid auth token
-async function getAuthToken() {
-    // Priority 1: Use provided token if available
-    if (BAASIX_AUTH_TOKEN) {
-        return BAASIX_AUTH_TOKEN;
+// Describe the identity a profile currently acts as (or the given adopted session)
+function describeIdentity(profile, session = getSession(profile)) {
+    if (session) {
+        const { token, user, tenant, source, since } = session;
+        const expiry = getTokenExpiry(token);
+        return {
+            source,
+            user: user || "Unknown",
+            tenant: tenant || "None",
+            since,
+            expires: expiry ? new Date(expiry).toISOString() : "Unknown",
+        };
     }
+    return {
+        source: "configured",
+        user: profile.staticToken ? "Manual Token" : profile.email || "Not configured",
+        tenant: "None",
+    };
+}
 
-    // Priority 2: Check if current token is still valid
-    if (authToken && authExpiry && Date.now() < authExpiry) {
-        return authToken;
+// Tenant of the session a profile currently acts in for an MCP client session
+function getSessionTenant(profileName, clientSession) {
+    try {
+        return getSession(getProfile(profileName), clientSession)?.tenant || null;
+    } catch (error) {
+        return null; // unknown profile, rejected by the call itself
     }
+}
 
-    // Priority 3: Auto-authenticate using email/password
-    if (BAASIX_EMAIL && BAASIX_PASSWORD) {
-        try {
-            const response = await axios.post(`${BAASIX_URL}/auth/login`, {
-                email: BAASIX_EMAIL,
-                password: BAASIX_PASSWORD,
-            });
+// Write an audit log entry for a finished tool call
+function auditToolCall({ name, args, profile, tenant, context, startedAt, result, failure }) {
+    if (!auditLog) return;
+
+    const requests = context.requests || [];
+    const toolError = failure || (result?.isError ? result : null);
+
+    auditLog.record({
+        timestamp: new Date(startedAt).toISOString(),
+        tool: name,
+        collection: args.collection || null,
+        args: redactSecrets(args),
+        profile: context.profile || profile || getDefaultProfileName(),
+        tenant,
+        status: requests.length > 0 ? requests[requests.length - 1].status : null,
+        requests,
+        outcome: toolError ? "error" : "success",
+        ...(failure && { error: failure.message }),
+        durationMs: Date.now() - startedAt,
+        resultBytes: getResultSize(result),
+    });
+}
+
+// Query string for one page of a list query (filter, sort, fields, search, searchFields, aggregate, groupBy,
+// relConditions, paranoid)
+function buildListParams(
+    { filter, sort, fields, search, searchFields, aggregate, groupBy, relConditions, paranoid },
+    page,
+    limit
+) {
+    const params = new URLSearchParams();
+    if (filter) params.append("filter", JSON.stringify(filter));
+    if (sort) params.append("sort", sort);
+    params.append("page", page.toString());
+    params.append("limit", limit.toString());
+    if (fields) params.append("fields", JSON.stringify(fields));
+    if (search) params.append("search", search);
+    if (searchFields) params.append("searchFields", JSON.stringify(searchFields));
+    if (aggregate) params.append("aggregate", JSON.stringify(aggregate));
+    if (groupBy) params.append("groupBy", JSON.stringify(groupBy));
+    if (relConditions) params.append("relConditions", JSON.stringify(relConditions));
+    if (paranoid === false) params.append("paranoid", "false");
+    return params;
+}
 
-            authToken = response.data.token;
-            authExpiry = Date.now() + 60 * 60 * 1000; // 1 hour
+// Soft-delete options of baasix_list_items and baasix_get_item
+const DELETED_OPTIONS = ["exclude", "include", "only"];
 
-            return authToken;
-        } catch (error) {
-            throw new Error(`Authentication failed: ${error.response?.data?.message || error.message}`);
+// Tools that accept a "where" string, and the argument it is compiled into
+const WHERE_TARGETS = {
+    baasix_list_items: "filter",
+    baasix_generate_report: "filter",
+    baasix_list_permissions: "filter",
+    baasix_create_permission: "conditions",
+    baasix_update_permission: "conditions",
+};
+
+// Replace the "where" argument with its compiled filter, merged into the target argument
+function compileWhereArgument(name, args) {
+    const { where, ...rest } = args;
+    const target = WHERE_TARGETS[name];
+    if (!target || where === undefined) return args;
+
+    let compiled;
+    try {
+        compiled = parseWhere(where);
+    } catch (error) {
+        if (error instanceof QuerySyntaxError) {
+            throw new McpError(ErrorCode.InvalidParams, `Invalid where: ${error.message}`, {
+                line: error.line,
+                column: error.column,
+            });
         }
+        throw error;
     }
+    return { ...rest, [target]: mergeFilters(rest[target], compiled) };
+}
+
+// Tools that take the format, columns and maxCellLength output options
+const OUTPUT_TOOLS = new Set([
+    "baasix_list_items",
+    "baasix_get_item",
+    "baasix_generate_report",
+    "baasix_collection_stats",
+    "baasix_list_files",
+    "baasix_get_file_info",
+    "baasix_list_notifications",
+    "baasix_list_roles",
+    "baasix_list_permissions",
+    "baasix_get_permission",
+    "baasix_list_templates",
+    "baasix_audit_log",
+    "baasix_get_overflow",
+]);
+
+const OUTPUT_OPTION_PROPERTIES = {
+    format: {
+        type: "string",
+        enum: OUTPUT_FORMATS,
+        description:
+            "Output format (default: json). compact-json, markdown-table and csv take far fewer tokens for large results",
+        default: "json",
+    },
+    columns: {
+        type: "array",
+        items: { type: "string" },
+        description: 'Columns to include in the output, e.g. ["id", "name", "category.name"]',
+    },
+    maxCellLength: {
+        type: "number",
+        description: "Cut off text values longer than this many characters",
+    },
+};
 
-    throw new Error(
-        "No authentication method available. Please provide BAASIX_AUTH_TOKEN or BAASIX_EMAIL/BAASIX_PASSWORD"
-    );
+// Maximum size of a tool response in bytes (BAASIX_MCP_MAX_RESPONSE_BYTES, 0 disables the guard)
+function getMaxResponseBytes() {
+    const value = Number(config.BAASIX_MCP_MAX_RESPONSE_BYTES ?? OVERFLOW_DEFAULTS.maxResponseBytes);
+    return Number.isFinite(value) && value > 0 ? value : 0;
 }
 
-// Helper function to make authenticated requests
-async function baasixRequest(endpoint, options = {}) {
-    const token = await getAuthToken();
-
-    const config = {
-        baseURL: BAASIX_URL,
-        ...options,
-        headers: {
-            "Content-Type": "application/json",
-            ...(token && { Authorization: `Bearer ${token}` }),
-            ...options.headers,
-        },
-    };
+// Render a successful tool result in the requested output format, cut down to the maximum response size
+function renderToolResult(name, result, output) {
+    const content = result.content || [];
+    if (result.isError || content.length === 0 || content.some((block) => block.type !== "text")) return result;
+
+    const maxBytes = getMaxResponseBytes();
+    const toContent = (blocks) => ({ ...result, content: blocks.map((block) => ({ type: "text", text: block })) });
+
+    // Several blocks (e.g. a summary and the JSON it describes) are measured, and cut, as one text
+    if (content.length > 1) {
+        const texts = content.map((block) => block.text);
+        const totalBytes = texts.reduce((total, text) => total + Buffer.byteLength(text, "utf8"), 0);
+        if (!maxBytes || totalBytes <= maxBytes) return result;
+        return toContent(
+            limitResponse(texts.join("\n"), { render: () => texts, maxBytes, store: overflowStore, tool: name })
+        );
+    }
+
+    const { text } = content[0];
+    const formatted = output && (output.format !== "json" || output.columns || output.maxCellLength);
+    if (!formatted && (!maxBytes || Buffer.byteLength(text, "utf8") <= maxBytes)) return result;
 
+    let parsed;
     try {
-        const response = await axios(endpoint, config);
-        return response.data;
+        parsed = JSON.parse(text);
     } catch (error) {
-        // If auth error and using auto-login, clear token and retry once
-        if (error.response?.status === 401 && authToken && !BAASIX_AUTH_TOKEN) {
-            authToken = null;
-            authExpiry = null;
+        parsed = undefined;
+    }
 
-            try {
-                const newToken = await getAuthToken();
-                if (newToken) {
-                    config.headers.Authorization = `Bearer ${newToken}`;
-                    const retryResponse = await axios(endpoint, config);
-                    return retryResponse.data;
-                }
-            } catch (retryError) {
-                throw new Error(`Baasix API Error: ${retryError.response?.data?.message || retryError.message}`);
-            }
-        }
+    let render = (value) => [JSON.stringify(value, null, 2)];
+    if (parsed === undefined) render = () => [text];
+    else if (formatted) render = (value) => formatOutput(value, output);
+
+    const blocks = limitResponse(parsed === undefined ? text : parsed, {
+        render,
+        maxBytes,
+        store: overflowStore,
+        tool: name,
+    });
+    return toContent(blocks);
+}
+
+// HTTP method for each item update mode
+const UPDATE_METHODS = {
+    merge: "PATCH",
+    replace: "PUT",
+};
 
-        throw new Error(`Baasix API Error: ${error.response?.data?.message || error.message}`);
+// Compare two timestamps as instants, so "2025-01-01T00:00:00Z" equals "2025-01-01T00:00:00.000Z"
+function isSameTimestamp(actual, expected) {
+    const actualTime = Date.parse(actual);
+    const expectedTime = Date.parse(expected);
+    if (Number.isNaN(actualTime) || Number.isNaN(expectedTime)) {
+        return String(actual) === String(expected);
     }
+    return actualTime === expectedTime;
+}
+
+// Progress notifier for a tool call; a no-op unless the client sent a progressToken
+function createProgressReporter(request, extra) {
+    const progressToken = request.params._meta?.progressToken;
+    if (progressToken === undefined || !extra?.sendNotification) {
+        return async () => {};
+    }
+
+    return (progress, total, message) =>
+        extra.sendNotification({
+            method: "notifications/progress",
+            params: { progressToken, progress, ...(total != null && { total }), ...(message && { message }) },
+        });
+}
+
+// Tenant ID from a login/switch-tenant response
+function extractTenant(result) {
+    const tenant = result?.tenant || result?.data?.tenant || result?.user?.tenant;
+    return tenant?.id || tenant?.tenant_Id || (typeof tenant === "string" ? tenant : null);
 }
 
 class BaasixMCPServer {
     server;
+    httpServer = null;
 
     constructor() {
-        this.server = new Server(
+        this.tools = addProfileArgument(this.getToolDefinitions());
+        this.toolValidators = buildToolValidators(this.tools);
+        // Filters are checked against the schema when it can be read; otherwise Baasix reports the error
+        this.filterValidator = createFilterValidator((collection) =>
+            this.getCollectionFields(collection).then(
+                (fields) => (Object.keys(fields).length > 0 ? fields : null),
+                () => null
+            )
+        );
+        this.server = this.createServer();
+        this.setupErrorHandling();
+    }
+
+    // Create an MCP server with all tool handlers registered.
+    // The HTTP transport creates one per client session.
+    createServer() {
+        const server = new Server(
             {
                 name: "baasix-mcp-server",
                 version: "0.1.0",
@@ -107,74 +347,76 @@ class BaasixMCPServer {
             }
         );
 
-        this.setupHandlers();
-        this.setupErrorHandling();
-    }
-
-    setupErrorHandling() {
-        this.server.onerror = (error) => {
+        server.onerror = (error) => {
             console.error("[MCP Error]", error);
         };
 
+        this.setupHandlers(server);
+        return server;
+    }
+
+    setupErrorHandling() {
         process.on("SIGINT", async () => {
+            if (this.httpServer) {
+                await this.httpServer.close();
+            }
             await this.server.close();
             process.exit(0);
         });
     }
 
-    setupHandlers() {
-        this.server.setRequestHandler(ListToolsRequestSchema, async () => {
-            return {
-                tools: [
-                    // Schema Management Tools
-                    {
-                        name: "baasix_list_schemas",
-                        description:
-                            "Get all available collections/schemas in Baasix with optional search and pagination",
-                        inputSchema: {
-                            type: "object",
-                            properties: {
-                                search: {
-                                    type: "string",
-                                    description: "Search term to filter schemas by collection name or schema name",
-                                },
-                                page: {
-                                    type: "number",
-                                    description: "Page number for pagination (default: 1)",
-                                    default: 1,
-                                },
-                                limit: {
-                                    type: "number",
-                                    description: "Number of schemas per page (default: 10)",
-                                    default: 10,
-                                },
-                                sort: {
-                                    type: "string",
-                                    description:
-                                        'Sort field and direction (e.g., "collectionName:asc", "collectionName:desc")',
-                                    default: "collectionName:asc",
-                                },
-                            },
-                            additionalProperties: false,
+    // Tool definitions exposed to MCP clients
+    getToolDefinitions() {
+        return [
+            // Schema Management Tools
+            {
+                name: "baasix_list_schemas",
+                description:
+                    "Get all available collections/schemas in Baasix with optional search and pagination",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        search: {
+                            type: "string",
+                            description: "Search term to filter schemas by collection name or schema name",
+                        },
+                        page: {
+                            type: "number",
+                            description: "Page number for pagination (default: 1)",
+                            default: 1,
+                        },
+                        limit: {
+                            type: "number",
+                            description: "Number of schemas per page (default: 10)",
+                            default: 10,
+                        },
+                        sort: {
+                            type: "string",
+                            description:
+                                'Sort field and direction (e.g., "collectionName:asc", "collectionName:desc")',
+                            default: "collectionName:asc",
                         },
                     },
-                    {
-                        name: "baasix_get_schema",
-                        description: "Get detailed schema information for a specific collection",
-                        inputSchema: {
-                            type: "object",
-                            properties: {
-                                collection: {
-                                    type: "string",
-                                    description: "Collection name",
-                                },
-                            },
-                            required: ["collection"],
+                    additionalProperties: false,
+                },
+            },
+            {
+                name: "baasix_get_schema",
+                description: "Get detailed schema information for a specific collection",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name",
                         },
                     },
-                    {
-                        name: "baasix_create_schema",
-                        description: `Create a new collection schema in Baasix.
+                    required: ["collection"],
+                },
+            },
+            {
+                name: "baasix_create_schema",
+                description: `Create a new collection schema in Baasix.
 
 FIELD TYPES:
 - String: VARCHAR with values.length (e.g., 255)
@@ -226,112 +468,112 @@ EXAMPLE:
     "quantity": {"type": "Integer", "defaultValue": 0, "validate": {"isInt": true, "min": 0}}
   }
 }`,
-                        inputSchema: {
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name (lowercase, snake_case recommended)",
+                        },
+                        schema: {
                             type: "object",
-                            properties: {
-                                collection: {
-                                    type: "string",
-                                    description: "Collection name (lowercase, snake_case recommended)",
-                                },
-                                schema: {
-                                    type: "object",
-                                    description: "Schema definition with name, fields, timestamps, paranoid options",
-                                },
-                            },
-                            required: ["collection", "schema"],
+                            description: "Schema definition with name, fields, timestamps, paranoid options",
                         },
                     },
-                    {
-                        name: "baasix_update_schema",
-                        description: "Update an existing collection schema",
-                        inputSchema: {
+                    required: ["collection", "schema"],
+                },
+            },
+            {
+                name: "baasix_update_schema",
+                description: "Update an existing collection schema",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name",
+                        },
+                        schema: {
                             type: "object",
-                            properties: {
-                                collection: {
-                                    type: "string",
-                                    description: "Collection name",
-                                },
-                                schema: {
-                                    type: "object",
-                                    description: "Updated schema definition",
-                                },
-                            },
-                            required: ["collection", "schema"],
+                            description: "Updated schema definition",
                         },
                     },
-                    {
-                        name: "baasix_delete_schema",
-                        description: "Delete a collection schema",
-                        inputSchema: {
-                            type: "object",
-                            properties: {
-                                collection: {
-                                    type: "string",
-                                    description: "Collection name",
-                                },
-                            },
-                            required: ["collection"],
+                    required: ["collection", "schema"],
+                },
+            },
+            {
+                name: "baasix_delete_schema",
+                description: "Delete a collection schema",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name",
                         },
                     },
-                    {
-                        name: "baasix_add_index",
-                        description: "Add an index to a collection schema",
-                        inputSchema: {
+                    required: ["collection"],
+                },
+            },
+            {
+                name: "baasix_add_index",
+                description: "Add an index to a collection schema",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name",
+                        },
+                        indexDefinition: {
                             type: "object",
+                            description: "Index definition with fields and options",
                             properties: {
-                                collection: {
+                                name: {
                                     type: "string",
-                                    description: "Collection name",
+                                    description: "Index name",
                                 },
-                                indexDefinition: {
-                                    type: "object",
-                                    description: "Index definition with fields and options",
-                                    properties: {
-                                        name: {
-                                            type: "string",
-                                            description: "Index name",
-                                        },
-                                        fields: {
-                                            type: "array",
-                                            items: { type: "string" },
-                                            description: "Array of field names to index",
-                                        },
-                                        unique: {
-                                            type: "boolean",
-                                            description: "Whether the index should be unique",
-                                        },
-                                        nullsNotDistinct: {
-                                            type: "boolean",
-                                            description: "When true, NULL values are considered equal for unique indexes (PostgreSQL 15+). Only applies when unique is true.",
-                                        },
-                                    },
-                                    required: ["name", "fields"],
+                                fields: {
+                                    type: "array",
+                                    items: { type: "string" },
+                                    description: "Array of field names to index",
                                 },
-                            },
-                            required: ["collection", "indexDefinition"],
-                        },
-                    },
-                    {
-                        name: "baasix_remove_index",
-                        description: "Remove an index from a collection schema",
-                        inputSchema: {
-                            type: "object",
-                            properties: {
-                                collection: {
-                                    type: "string",
-                                    description: "Collection name",
+                                unique: {
+                                    type: "boolean",
+                                    description: "Whether the index should be unique",
                                 },
-                                indexName: {
-                                    type: "string",
-                                    description: "Name of the index to remove",
+                                nullsNotDistinct: {
+                                    type: "boolean",
+                                    description: "When true, NULL values are considered equal for unique indexes (PostgreSQL 15+). Only applies when unique is true.",
                                 },
                             },
-                            required: ["collection", "indexName"],
+                            required: ["name", "fields"],
                         },
                     },
-                    {
-                        name: "baasix_create_relationship",
-                        description: `Create a relationship between collections.
+                    required: ["collection", "indexDefinition"],
+                },
+            },
+            {
+                name: "baasix_remove_index",
+                description: "Remove an index from a collection schema",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name",
+                        },
+                        indexName: {
+                            type: "string",
+                            description: "Name of the index to remove",
+                        },
+                    },
+                    required: ["collection", "indexName"],
+                },
+            },
+            {
+                name: "baasix_create_relationship",
+                description: `Create a relationship between collections.
 
 RELATIONSHIP TYPES:
 - M2O (Many-to-One): Creates foreign key with auto-index. products.category → categories
@@ -375,135 +617,164 @@ EXAMPLE M2M with custom junction table:
   "alias": "products",
   "through": "product_tag_mapping"  // Custom junction table name
 }`,
-                        inputSchema: {
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        sourceCollection: {
+                            type: "string",
+                            description: "Source collection name",
+                        },
+                        relationshipData: {
                             type: "object",
+                            description: "Relationship configuration",
                             properties: {
-                                sourceCollection: {
+                                name: {
                                     type: "string",
-                                    description: "Source collection name",
+                                    description: "Relationship field name (creates fieldName_Id for M2O)",
                                 },
-                                relationshipData: {
-                                    type: "object",
-                                    description: "Relationship configuration",
-                                    properties: {
-                                        name: {
-                                            type: "string",
-                                            description: "Relationship field name (creates fieldName_Id for M2O)",
-                                        },
-                                        type: {
-                                            type: "string",
-                                            enum: ["M2O", "O2M", "O2O", "M2M", "M2A"],
-                                            description:
-                                                "M2O=Many-to-One, O2M=One-to-Many, M2M=Many-to-Many, M2A=Many-to-Any (polymorphic)",
-                                        },
-                                        target: {
-                                            type: "string",
-                                            description: "Target collection name",
-                                        },
-                                        alias: {
-                                            type: "string",
-                                            description:
-                                                "Alias for reverse relationship (required for bidirectional access)",
-                                        },
-                                        description: {
-                                            type: "string",
-                                            description: "Relationship description",
-                                        },
-                                        onDelete: {
-                                            type: "string",
-                                            enum: ["CASCADE", "RESTRICT", "SET NULL"],
-                                            description: "Delete behavior (default: CASCADE)",
-                                        },
-                                        onUpdate: {
-                                            type: "string",
-                                            enum: ["CASCADE", "RESTRICT", "SET NULL"],
-                                            description: "Update behavior",
-                                        },
-                                        tables: {
-                                            type: "array",
-                                            items: { type: "string" },
-                                            description: "Target tables for M2A (polymorphic) relationships",
-                                        },
-                                        through: {
-                                            type: "string",
-                                            description:
-                                                "Custom junction table name for M2M/M2A relationships (max 63 chars). If not provided, auto-generated as {source}_{target}_{name}_junction",
-                                        },
-                                    },
-                                    required: ["name", "type"],
+                                type: {
+                                    type: "string",
+                                    enum: ["M2O", "O2M", "O2O", "M2M", "M2A"],
+                                    description:
+                                        "M2O=Many-to-One, O2M=One-to-Many, M2M=Many-to-Many, M2A=Many-to-Any (polymorphic)",
                                 },
-                            },
-                            required: ["sourceCollection", "relationshipData"],
-                        },
-                    },
-                    {
-                        name: "baasix_update_relationship",
-                        description: "Update an existing relationship",
-                        inputSchema: {
-                            type: "object",
-                            properties: {
-                                sourceCollection: {
+                                target: {
                                     type: "string",
-                                    description: "Source collection name",
+                                    description: "Target collection name",
                                 },
-                                fieldName: {
+                                alias: {
                                     type: "string",
-                                    description: "Relationship field name",
+                                    description:
+                                        "Alias for reverse relationship (required for bidirectional access)",
                                 },
-                                updateData: {
-                                    type: "object",
-                                    description: "Update data for the relationship",
+                                description: {
+                                    type: "string",
+                                    description: "Relationship description",
                                 },
-                            },
-                            required: ["sourceCollection", "fieldName", "updateData"],
-                        },
-                    },
-                    {
-                        name: "baasix_delete_relationship",
-                        description: "Delete a relationship",
-                        inputSchema: {
-                            type: "object",
-                            properties: {
-                                sourceCollection: {
+                                onDelete: {
                                     type: "string",
-                                    description: "Source collection name",
+                                    enum: ["CASCADE", "RESTRICT", "SET NULL"],
+                                    description: "Delete behavior (default: CASCADE)",
                                 },
-                                fieldName: {
+                                onUpdate: {
                                     type: "string",
-                                    description: "Relationship field name",
+                                    enum: ["CASCADE", "RESTRICT", "SET NULL"],
+                                    description: "Update behavior",
+                                },
+                                tables: {
+                                    type: "array",
+                                    items: { type: "string" },
+                                    description: "Target tables for M2A (polymorphic) relationships",
+                                },
+                                through: {
+                                    type: "string",
+                                    description:
+                                        "Custom junction table name for M2M/M2A relationships (max 63 chars). If not provided, auto-generated as {source}_{target}_{name}_junction",
                                 },
                             },
-                            required: ["sourceCollection", "fieldName"],
+                            required: ["name", "type"],
                         },
                     },
-                    {
-                        name: "baasix_export_schemas",
-                        description: "Export all schemas as JSON",
-                        inputSchema: {
+                    required: ["sourceCollection", "relationshipData"],
+                },
+            },
+            {
+                name: "baasix_update_relationship",
+                description: "Update an existing relationship",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        sourceCollection: {
+                            type: "string",
+                            description: "Source collection name",
+                        },
+                        fieldName: {
+                            type: "string",
+                            description: "Relationship field name",
+                        },
+                        updateData: {
                             type: "object",
-                            properties: {},
-                            additionalProperties: false,
+                            description: "Update data for the relationship",
                         },
                     },
-                    {
-                        name: "baasix_import_schemas",
-                        description: "Import schemas from JSON data",
-                        inputSchema: {
+                    required: ["sourceCollection", "fieldName", "updateData"],
+                },
+            },
+            {
+                name: "baasix_delete_relationship",
+                description: "Delete a relationship",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        sourceCollection: {
+                            type: "string",
+                            description: "Source collection name",
+                        },
+                        fieldName: {
+                            type: "string",
+                            description: "Relationship field name",
+                        },
+                    },
+                    required: ["sourceCollection", "fieldName"],
+                },
+            },
+            {
+                name: "baasix_export_schemas",
+                description: "Export all schemas as JSON",
+                inputSchema: {
+                    type: "object",
+                    properties: {},
+                    additionalProperties: false,
+                },
+            },
+            {
+                name: "baasix_import_schemas",
+                description: "Import schemas from JSON data",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        schemas: {
                             type: "object",
-                            properties: {
-                                schemas: {
-                                    type: "object",
-                                    description: "Schema data to import",
-                                },
-                            },
-                            required: ["schemas"],
+                            description: "Schema data to import",
+                        },
+                    },
+                    required: ["schemas"],
+                },
+            },
+            {
+                name: "baasix_diff_schemas",
+                description: `Compare the schemas on the server with a local JSON file or with another profile, e.g. before
+importing schemas or promoting changes from staging to production.
+
+The file may hold a baasix_export_schemas result or an object of collection name -> schema. Changes are
+reported from the server (or the "profile" argument's instance) to the file or compareProfile: added,
+removed and changed collections, fields (type, allowNull, defaultValue, validate, ...), relationships,
+indexes and collection options. The first text block is a readable summary, the second the same diff as JSON.`,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        path: {
+                            type: "string",
+                            description: "Local JSON file with the schemas to compare against (inside BAASIX_MCP_DATA_DIR, default ./data)",
+                        },
+                        compareProfile: {
+                            type: "string",
+                            description: "Profile whose server schemas to compare against (instead of path)",
+                        },
+                        collections: {
+                            type: "array",
+                            items: { type: "string" },
+                            description: "Only compare these collections (default: all)",
                         },
                     },
+                    additionalProperties: false,
+                },
+            },
 
-                    // Item Management Tools
-                    {
-                        name: "baasix_list_items",
-                        description: `Query items from a collection with powerful filtering, sorting, pagination, relations, and aggregation.
+            // Item Management Tools
+            {
+                name: "baasix_list_items",
+                description: `Query items from a collection with powerful filtering, sorting, pagination, relations, and aggregation.
 
 FILTER OPERATORS (50+):
 - Comparison: eq, neq, gt, gte, lt, lte
@@ -526,518 +797,1097 @@ FILTER EXAMPLES:
 - {"AND": [{"price": {"gte": 10}}, {"price": {"lte": 100}}]}
 - {"tags": {"arraycontains": ["featured"]}}
 - {"author_Id": {"eq": "$CURRENT_USER"}}
-- {"category.name": {"eq": "Electronics"}} (relation filter)`,
-                        inputSchema: {
-                            type: "object",
-                            properties: {
-                                collection: {
-                                    type: "string",
-                                    description: "Collection name",
-                                },
-                                filter: {
-                                    type: "object",
-                                    description:
-                                        "Filter criteria using operators like eq, neq, gt, gte, lt, lte, contains, in, between, etc.",
-                                },
-                                fields: {
-                                    type: "array",
-                                    items: { type: "string" },
-                                    description:
-                                        'Fields to return. Use ["*"] for all, ["*", "relation.*"] to include relations',
-                                },
-                                sort: {
-                                    type: "string",
-                                    description: 'Sort field and direction (e.g., "createdAt:desc", "name:asc")',
-                                },
-                                page: {
-                                    type: "number",
-                                    description: "Page number (default: 1)",
-                                    default: 1,
-                                },
-                                limit: {
-                                    type: "number",
-                                    description: "Items per page (default: 10, use -1 for all)",
-                                    default: 10,
-                                },
-                                search: {
-                                    type: "string",
-                                    description: "Full-text search query",
-                                },
-                                searchFields: {
-                                    type: "array",
-                                    items: { type: "string" },
-                                    description: 'Fields to search in (e.g., ["name", "description"])',
-                                },
-                                aggregate: {
-                                    type: "object",
-                                    description:
-                                        'Aggregation functions: {alias: {function: "sum|avg|count|min|max", field: "fieldName"}}',
-                                },
-                                groupBy: {
-                                    type: "array",
-                                    items: { type: "string" },
-                                    description: "Fields to group by for aggregation",
-                                },
-                                relConditions: {
-                                    type: "object",
-                                    description:
-                                        'Filter conditions for related records: {"reviews": {"approved": {"eq": true}}}',
-                                },
-                            },
-                            required: ["collection"],
+- {"category.name": {"eq": "Electronics"}} (relation filter)
+
+WHERE (text alternative to filter):
+- status = 'active' and price between 10 and 100 and category.name ilike '%phone%'
+- author_Id = $CURRENT_USER or (createdAt >= $NOW-DAYS_7 and not tags arraycontains ('a', 'b'))
+- Operators: = != > >= < <=, [not] in (...), [not] between .. and .., [not] like/ilike, is [not] null,
+  is [not] empty, and word operators such as icontains, startswith, arraycontains
+
+LARGE RESULTS:
+Use autoPaginate instead of limit: -1. Pages are fetched until maxRows/maxBytes is reached, and the result
+includes nextCursor to continue. Sort by a unique field for stable paging.`,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name",
                         },
-                    },
-                    {
-                        name: "baasix_get_item",
-                        description: "Get a specific item by ID from a collection, optionally including related data",
-                        inputSchema: {
+                        filter: {
                             type: "object",
-                            properties: {
-                                collection: {
-                                    type: "string",
-                                    description: "Collection name",
-                                },
-                                id: {
-                                    type: "string",
-                                    description: "Item ID (UUID)",
-                                },
-                                fields: {
-                                    type: "array",
-                                    items: { type: "string" },
-                                    description: 'Fields to return. Use ["*", "relation.*"] to include relations',
-                                },
-                            },
-                            required: ["collection", "id"],
+                            description:
+                                "Filter criteria using operators like eq, neq, gt, gte, lt, lte, contains, in, between, etc.",
                         },
-                    },
-                    {
-                        name: "baasix_create_item",
-                        description: "Create a new item in a collection",
-                        inputSchema: {
+                        where: {
+                            type: "string",
+                            description:
+                                "Filter as text, e.g. \"status = 'active' and price between 10 and 100\" (combined with filter using AND)",
+                        },
+                        fields: {
+                            type: "array",
+                            items: { type: "string" },
+                            description:
+                                'Fields to return. Use ["*"] for all, ["*", "relation.*"] to include relations',
+                        },
+                        sort: {
+                            type: "string",
+                            description: 'Sort field and direction (e.g., "createdAt:desc", "name:asc")',
+                        },
+                        page: {
+                            type: "number",
+                            description: "Page number (default: 1)",
+                            default: 1,
+                        },
+                        limit: {
+                            type: "number",
+                            description: "Items per page (default: 10, use -1 for all)",
+                            default: 10,
+                        },
+                        search: {
+                            type: "string",
+                            description: "Full-text search query",
+                        },
+                        searchFields: {
+                            type: "array",
+                            items: { type: "string" },
+                            description: 'Fields to search in (e.g., ["name", "description"])',
+                        },
+                        aggregate: {
                             type: "object",
-                            properties: {
-                                collection: {
-                                    type: "string",
-                                    description: "Collection name",
-                                },
-                                data: {
-                                    type: "object",
-                                    description: "Item data",
-                                },
-                            },
-                            required: ["collection", "data"],
+                            description:
+                                'Aggregation functions: {alias: {function: "sum|avg|count|min|max", field: "fieldName"}}',
                         },
-                    },
-                    {
-                        name: "baasix_update_item",
-                        description: "Update an existing item in a collection",
-                        inputSchema: {
+                        groupBy: {
+                            type: "array",
+                            items: { type: "string" },
+                            description: "Fields to group by for aggregation",
+                        },
+                        relConditions: {
                             type: "object",
-                            properties: {
-                                collection: {
-                                    type: "string",
-                                    description: "Collection name",
-                                },
-                                id: {
-                                    type: "string",
-                                    description: "Item ID",
-                                },
-                                data: {
-                                    type: "object",
-                                    description: "Updated item data",
-                                },
-                            },
-                            required: ["collection", "id", "data"],
+                            description:
+                                'Filter conditions for related records: {"reviews": {"approved": {"eq": true}}}',
+                        },
+                        deleted: {
+                            type: "string",
+                            enum: DELETED_OPTIONS,
+                            description:
+                                'Soft-deleted rows of paranoid collections: "exclude" (default), "include" or "only"',
+                            default: "exclude",
                         },
+                        autoPaginate: {
+                            type: "boolean",
+                            description:
+                                "Fetch pages automatically (limit = page size, default 100; sorted by primary key unless sort is given) until maxRows/maxBytes is reached. Returns nextCursor when more rows remain",
+                        },
+                        maxRows: {
+                            type: "number",
+                            description: "Row cap for autoPaginate (default: 1000)",
+                            default: 1000,
+                        },
+                        maxBytes: {
+                            type: "number",
+                            description: "Cap on the serialized size of returned rows for autoPaginate (default: 1048576; lowered to fit the maximum response size)",
+                            default: 1048576,
+                        },
+                        cursor: {
+                            type: "string",
+                            description:
+                                "nextCursor from a previous autoPaginate result; continues the same query (other query arguments are ignored)",
+                        },
+                        ...OUTPUT_OPTION_PROPERTIES,
                     },
-                    {
-                        name: "baasix_delete_item",
-                        description: "Delete an item from a collection",
-                        inputSchema: {
-                            type: "object",
-                            properties: {
-                                collection: {
-                                    type: "string",
-                                    description: "Collection name",
-                                },
-                                id: {
-                                    type: "string",
-                                    description: "Item ID",
-                                },
-                            },
-                            required: ["collection", "id"],
+                    required: ["collection"],
+                },
+            },
+            {
+                name: "baasix_get_item",
+                description: "Get a specific item by ID from a collection, optionally including related data",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name",
+                        },
+                        id: {
+                            type: "string",
+                            description: "Item ID (UUID)",
                         },
+                        fields: {
+                            type: "array",
+                            items: { type: "string" },
+                            description: 'Fields to return. Use ["*", "relation.*"] to include relations',
+                        },
+                        deleted: {
+                            type: "string",
+                            enum: DELETED_OPTIONS,
+                            description:
+                                'Soft-deleted rows of paranoid collections: "exclude" (default), "include" or "only"',
+                            default: "exclude",
+                        },
+                        ...OUTPUT_OPTION_PROPERTIES,
                     },
-
-                    // File Management Tools
-                    {
-                        name: "baasix_list_files",
-                        description: "List files with metadata and optional filtering",
-                        inputSchema: {
+                    required: ["collection", "id"],
+                },
+            },
+            {
+                name: "baasix_create_item",
+                description: "Create a new item in a collection",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name",
+                        },
+                        data: {
                             type: "object",
-                            properties: {
-                                filter: {
-                                    type: "object",
-                                    description: "Filter criteria",
-                                },
-                                page: {
-                                    type: "number",
-                                    description: "Page number (default: 1)",
-                                    default: 1,
-                                },
-                                limit: {
-                                    type: "number",
-                                    description: "Files per page (default: 10)",
-                                    default: 10,
-                                },
-                            },
+                            description: "Item data",
                         },
                     },
-                    {
-                        name: "baasix_get_file_info",
-                        description: "Get detailed information about a specific file",
-                        inputSchema: {
+                    required: ["collection", "data"],
+                },
+            },
+            {
+                name: "baasix_update_item",
+                description: `Update an existing item in a collection.
+
+MODES:
+- merge (default): PATCH, only the fields in data change
+- replace: PUT, the item is replaced by data
+
+OPTIMISTIC CONCURRENCY:
+Pass expectedUpdatedAt (the updatedAt you read) and/or expectedVersion. If the stored item has changed since,
+the update is rejected with an UPDATE_CONFLICT error that includes the current item.`,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name",
+                        },
+                        id: {
+                            type: "string",
+                            description: "Item ID",
+                        },
+                        data: {
                             type: "object",
-                            properties: {
-                                id: {
-                                    type: "string",
-                                    description: "File ID",
-                                },
-                            },
-                            required: ["id"],
+                            description: "Updated item data",
+                        },
+                        mode: {
+                            type: "string",
+                            enum: ["merge", "replace"],
+                            description: "merge: update only the given fields (default); replace: replace the whole item",
+                            default: "merge",
+                        },
+                        expectedUpdatedAt: {
+                            type: "string",
+                            description: "Reject the update unless the item's updatedAt still equals this value",
+                        },
+                        expectedVersion: {
+                            type: "number",
+                            description:
+                                "Reject the update unless the item's version field still equals this value. The version is incremented unless data sets it",
+                        },
+                        versionField: {
+                            type: "string",
+                            description: 'Field holding the version number (default: "version")',
+                            default: "version",
                         },
                     },
-                    {
-                        name: "baasix_delete_file",
-                        description: "Delete a file",
-                        inputSchema: {
-                            type: "object",
-                            properties: {
-                                id: {
-                                    type: "string",
-                                    description: "File ID",
-                                },
-                            },
-                            required: ["id"],
+                    required: ["collection", "id", "data"],
+                },
+            },
+            {
+                name: "baasix_delete_item",
+                description: "Delete an item from a collection",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name",
+                        },
+                        id: {
+                            type: "string",
+                            description: "Item ID",
                         },
                     },
-
-                    // Authentication Tools
-                    {
-                        name: "baasix_auth_status",
-                        description: "Check the current authentication status and token validity",
-                        inputSchema: {
-                            type: "object",
-                            properties: {},
-                            additionalProperties: false,
+                    required: ["collection", "id"],
+                },
+            },
+            {
+                name: "baasix_restore_item",
+                description: `Restore a soft-deleted item of a paranoid collection (one created with paranoid: true).
+
+Clears the item's deletedAt. Find deleted items with baasix_list_items and deleted: "only".`,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name",
+                        },
+                        id: {
+                            type: "string",
+                            description: "Item ID",
                         },
                     },
-                    {
-                        name: "baasix_refresh_auth",
-                        description: "Force refresh the authentication token (only works for email/password auth)",
-                        inputSchema: {
-                            type: "object",
-                            properties: {},
-                            additionalProperties: false,
+                    required: ["collection", "id"],
+                    additionalProperties: false,
+                },
+            },
+            {
+                name: "baasix_purge_item",
+                description: `Permanently delete an item of a paranoid collection, bypassing soft delete. This cannot be undone.
+
+By default only items that are already soft-deleted can be purged; pass allowActive: true to purge a live item.`,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name",
+                        },
+                        id: {
+                            type: "string",
+                            description: "Item ID",
+                        },
+                        allowActive: {
+                            type: "boolean",
+                            description: "Also purge an item that has not been soft-deleted (default: false)",
+                            default: false,
                         },
                     },
-
-                    // Reports and Analytics Tools
-                    {
-                        name: "baasix_generate_report",
-                        description: "Generate reports with grouping and aggregation for a collection",
-                        inputSchema: {
+                    required: ["collection", "id"],
+                    additionalProperties: false,
+                },
+            },
+            {
+                name: "baasix_export_items",
+                description: `Export the items of a collection to a local CSV, NDJSON or JSON file.
+
+Takes the same filter/fields/sort/search options as baasix_list_items and pages through every matching item.
+Only a summary (row count, file path, columns) is returned. In CSV, nested relation fields are flattened into
+dot-separated columns (e.g. "author.name") and arrays are written as JSON.`,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name",
+                        },
+                        path: {
+                            type: "string",
+                            description: "File to write (inside BAASIX_MCP_DATA_DIR, default ./data; relative paths are resolved against it)",
+                        },
+                        format: {
+                            type: "string",
+                            enum: EXPORT_FORMATS,
+                            description: "File format (default: from the file extension, else ndjson)",
+                        },
+                        filter: {
                             type: "object",
-                            properties: {
-                                collection: {
-                                    type: "string",
-                                    description: "Collection name",
-                                },
-                                groupBy: {
-                                    type: "string",
-                                    description: "Field to group by",
-                                },
-                                filter: {
-                                    type: "object",
-                                    description: "Filter criteria",
-                                },
-                                dateRange: {
-                                    type: "object",
-                                    properties: {
-                                        start: { type: "string" },
-                                        end: { type: "string" },
-                                    },
-                                    description: "Date range filter",
-                                },
-                            },
-                            required: ["collection"],
+                            description: "Filter criteria (same syntax as baasix_list_items)",
                         },
-                    },
-                    {
-                        name: "baasix_collection_stats",
-                        description: "Get collection statistics and analytics",
-                        inputSchema: {
+                        fields: {
+                            type: "array",
+                            items: { type: "string" },
+                            description: 'Fields to export. Use ["*", "relation.*"] to include relations',
+                        },
+                        sort: {
+                            type: "string",
+                            description: 'Sort field and direction (default: the primary key ascending, for stable paging)',
+                        },
+                        search: {
+                            type: "string",
+                            description: "Full-text search query",
+                        },
+                        searchFields: {
+                            type: "array",
+                            items: { type: "string" },
+                            description: "Fields to search in",
+                        },
+                        relConditions: {
                             type: "object",
-                            properties: {
-                                collections: {
-                                    type: "array",
-                                    items: { type: "string" },
-                                    description: "Specific collections to get stats for",
-                                },
-                                timeframe: {
-                                    type: "string",
-                                    description: 'Timeframe for stats (e.g., "24h", "7d", "30d")',
-                                },
-                            },
+                            description: "Filter conditions for related records",
+                        },
+                        pageSize: {
+                            type: "number",
+                            description: "Items fetched per request (default: 500)",
+                            default: 500,
+                        },
+                        overwrite: {
+                            type: "boolean",
+                            description: "Replace the file if it exists (default: false)",
+                            default: false,
                         },
                     },
-
-                    // Notification Tools
-                    {
-                        name: "baasix_list_notifications",
-                        description: "List notifications for the authenticated user",
-                        inputSchema: {
+                    required: ["collection", "path"],
+                    additionalProperties: false,
+                },
+            },
+            {
+                name: "baasix_import_items",
+                description: `Import items into a collection from a local CSV, NDJSON or JSON file.
+
+Columns are mapped to fields by name (override with "mapping"). Values are coerced to the field types from the
+collection schema (Integer, Decimal, Boolean, DateTime, JSONB, Array, Enum, ...) and checked against the field
+validation rules (notEmpty, isEmail, len, min/max, enum values, required fields).
+
+Run with dryRun: true first: it reports type errors, validation failures and unknown columns per row without
+writing anything. A real import writes nothing if any row has errors, unless skipInvalidRows is set.`,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name",
+                        },
+                        path: {
+                            type: "string",
+                            description: "File to read (inside BAASIX_MCP_DATA_DIR, default ./data; relative paths are resolved against it)",
+                        },
+                        format: {
+                            type: "string",
+                            enum: IMPORT_FORMATS,
+                            description: "File format (default: from the file extension)",
+                        },
+                        mapping: {
                             type: "object",
-                            properties: {
-                                page: {
-                                    type: "number",
-                                    description: "Page number (default: 1)",
-                                    default: 1,
-                                },
-                                limit: {
-                                    type: "number",
-                                    description: "Notifications per page (default: 10)",
-                                    default: 10,
-                                },
-                                seen: {
-                                    type: "boolean",
-                                    description: "Filter by seen status",
-                                },
-                            },
+                            description: 'Column to field mapping, e.g. {"E-mail": "email", "Notes": null} (null skips a column)',
+                        },
+                        dryRun: {
+                            type: "boolean",
+                            description: "Only validate and report, write nothing (default: false)",
+                            default: false,
+                        },
+                        ignoreUnknownColumns: {
+                            type: "boolean",
+                            description: "Drop columns that match no field instead of reporting them as errors (default: false)",
+                            default: false,
+                        },
+                        skipInvalidRows: {
+                            type: "boolean",
+                            description: "Import the valid rows even if some rows have errors (default: false)",
+                            default: false,
+                        },
+                        maxIssues: {
+                            type: "number",
+                            description: "Maximum number of rows with issues to list in the result (default: 50)",
+                            default: 50,
+                        },
+                        chunkSize: {
+                            type: "number",
+                            description: "Items per chunk (default: 100)",
+                            default: 100,
+                        },
+                        concurrency: {
+                            type: "number",
+                            description: "Parallel requests within a chunk (default: 5, max: 20)",
+                            default: 5,
+                        },
+                        stopOnError: {
+                            type: "boolean",
+                            description: "Skip the remaining chunks once an item has failed (default: false)",
+                            default: false,
                         },
                     },
-                    {
-                        name: "baasix_send_notification",
-                        description: "Send a notification to specified users",
-                        inputSchema: {
-                            type: "object",
-                            properties: {
-                                recipients: {
-                                    type: "array",
-                                    items: { type: "string" },
-                                    description: "Array of user IDs to send notification to",
-                                },
-                                title: {
-                                    type: "string",
-                                    description: "Notification title",
-                                },
-                                message: {
-                                    type: "string",
-                                    description: "Notification message",
-                                },
-                                type: {
-                                    type: "string",
-                                    description: "Notification type",
-                                    default: "info",
-                                },
-                            },
-                            required: ["recipients", "title", "message"],
+                    required: ["collection", "path"],
+                    additionalProperties: false,
+                },
+            },
+            {
+                name: "baasix_bulk_create_items",
+                description: `Create many items in a collection in one call.
+
+Items are sent in chunks with limited concurrency. The result reports success or failure for every item
+(by index in the input array), so failed items can be fixed and retried.`,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name",
+                        },
+                        items: {
+                            type: "array",
+                            items: { type: "object" },
+                            description: "Items to create (max 10000)",
+                        },
+                        chunkSize: {
+                            type: "number",
+                            description: "Items per chunk (default: 100)",
+                            default: 100,
+                        },
+                        concurrency: {
+                            type: "number",
+                            description: "Parallel requests within a chunk (default: 5, max: 20)",
+                            default: 5,
+                        },
+                        stopOnError: {
+                            type: "boolean",
+                            description: "Skip the remaining chunks once an item has failed (default: false)",
+                            default: false,
                         },
                     },
-                    {
-                        name: "baasix_mark_notification_seen",
-                        description: "Mark a notification as seen",
-                        inputSchema: {
+                    required: ["collection", "items"],
+                    additionalProperties: false,
+                },
+            },
+            {
+                name: "baasix_bulk_update_items",
+                description: `Apply the same update to many items, selected by ID list or by filter (one of the two).
+
+Items are updated in chunks with limited concurrency, and the result reports success or failure for every item.`,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name",
+                        },
+                        data: {
                             type: "object",
-                            properties: {
-                                id: {
-                                    type: "string",
-                                    description: "Notification ID",
-                                },
-                            },
-                            required: ["id"],
+                            description: "Fields to set on every selected item",
                         },
-                    },
-
-                    // Settings Tools
-                    {
-                        name: "baasix_get_settings",
-                        description: "Get application settings",
-                        inputSchema: {
+                        ids: {
+                            type: "array",
+                            items: { type: "string" },
+                            description: "IDs of the items to update",
+                        },
+                        filter: {
                             type: "object",
-                            properties: {
-                                key: {
-                                    type: "string",
-                                    description: "Specific setting key to retrieve",
-                                },
-                            },
+                            description: "Filter selecting the items to update (same syntax as baasix_list_items)",
+                        },
+                        chunkSize: {
+                            type: "number",
+                            description: "Items per chunk (default: 100)",
+                            default: 100,
+                        },
+                        concurrency: {
+                            type: "number",
+                            description: "Parallel requests within a chunk (default: 5, max: 20)",
+                            default: 5,
+                        },
+                        stopOnError: {
+                            type: "boolean",
+                            description: "Skip the remaining chunks once an item has failed (default: false)",
+                            default: false,
                         },
                     },
-                    {
-                        name: "baasix_update_settings",
-                        description: "Update application settings",
-                        inputSchema: {
-                            type: "object",
-                            properties: {
-                                settings: {
-                                    type: "object",
-                                    description: "Settings object to update",
-                                },
-                            },
-                            required: ["settings"],
+                    required: ["collection", "data"],
+                    additionalProperties: false,
+                },
+            },
+            {
+                name: "baasix_upsert_items",
+                description: `Create or update records by a unique key ("create if missing, otherwise update").
+
+Existing rows are looked up by the key field(s) with one query per chunk. A record whose key matches one row
+updates that row; a record with no match is created. A key that matches several rows, or appears more than once
+in the input, is reported as a conflict and left untouched.`,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name",
+                        },
+                        items: {
+                            type: "array",
+                            items: { type: "object" },
+                            description: "Records to upsert (max 10000); each must contain the key field(s)",
+                        },
+                        keys: {
+                            type: "array",
+                            items: { type: "string" },
+                            description: 'Field(s) that identify a record, e.g. ["email"] or ["source", "externalId"]',
+                        },
+                        chunkSize: {
+                            type: "number",
+                            description: "Items per chunk (default: 100)",
+                            default: 100,
+                        },
+                        concurrency: {
+                            type: "number",
+                            description: "Parallel requests within a chunk (default: 5, max: 20)",
+                            default: 5,
+                        },
+                        stopOnError: {
+                            type: "boolean",
+                            description: "Skip the remaining chunks once an item has failed (default: false)",
+                            default: false,
                         },
                     },
-
-                    // Email Template Tools
-                    {
-                        name: "baasix_list_templates",
-                        description: "List all email templates with optional filtering",
-                        inputSchema: {
+                    required: ["collection", "items", "keys"],
+                    additionalProperties: false,
+                },
+            },
+            {
+                name: "baasix_clone_item",
+                description: `Duplicate an item together with a chosen set of its relations, e.g. a product with its variants
+or a template project with its tasks.
+
+"relations" maps relation paths to a mode:
+- O2M (e.g. "variants", "tasks.subtasks"): "copy" creates copies of the child records under the clone
+- M2M (e.g. "tags"): "link" links the clone to the same related records; "copy" copies those records too
+- M2O references (e.g. category_Id) are always kept as they are
+
+Copies get new primary keys; timestamps are not copied. The result maps every copied record's old ID to its new ID
+per collection. If a write fails, the records created before it are deleted again, newest first.`,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name",
+                        },
+                        id: {
+                            type: "string",
+                            description: "ID of the item to clone",
+                        },
+                        relations: {
                             type: "object",
-                            properties: {
-                                filter: {
-                                    type: "object",
-                                    description: "Filter criteria (e.g., {type: {eq: 'magic_link'}})",
-                                },
-                                page: {
-                                    type: "number",
-                                    description: "Page number (default: 1)",
-                                    default: 1,
-                                },
-                                limit: {
-                                    type: "number",
-                                    description: "Templates per page (default: 10)",
-                                    default: 10,
-                                },
-                            },
+                            description: 'Relation path -> "copy" or "link", e.g. {"variants": "copy", "tags": "link"}',
                         },
-                    },
-                    {
-                        name: "baasix_get_template",
-                        description: "Get a specific email template by ID",
-                        inputSchema: {
+                        overrides: {
                             type: "object",
-                            properties: {
-                                id: {
-                                    type: "string",
-                                    description: "Template ID (UUID)",
-                                },
-                            },
-                            required: ["id"],
+                            description: 'Field values to set on the clone, e.g. {"name": "Copy of Phone", "sku": "PH-2"}',
                         },
                     },
-                    {
-                        name: "baasix_update_template",
-                        description: `Update an email template's subject, description, or body content.
+                    required: ["collection", "id"],
+                    additionalProperties: false,
+                },
+            },
+            {
+                name: "baasix_create_nested_item",
+                description: `Create an item together with related records in one call, e.g. an order with its line items and tags.
 
-TEMPLATE TYPES:
-- magic_link: Magic link authentication emails
-- invite: User invitation emails
-- password_reset: Password reset emails
-- welcome: Welcome emails
-- verification: Email verification emails
+Relation fields of "data" are resolved from the schema:
+- M2O (e.g. "customer"): an object without a primary key is created first and its ID set as the foreign key;
+  an ID (or object with one) references an existing record
+- O2M (e.g. "lines"): an array of new child records, created after the item with their foreign key set
+- M2M (e.g. "tags"): an array of IDs or objects; new objects are created, then a junction row links each one
+- M2A (e.g. "attachments"): an array of {"collection": "posts", "item": {...} or ID}
 
-AVAILABLE VARIABLES:
-- User: {{user.firstName}}, {{user.lastName}}, {{user.fullName}}, {{user.email}}
-- Tenant: {{tenant.name}}, {{tenant.logo}}, {{tenant.website}}
-- Auth: {{magicLink}}, {{magicCode}}, {{resetPasswordLink}}, {{inviteLink}}
-- DateTime: {{currentDate}}, {{currentTime}}, {{currentYear}}`,
-                        inputSchema: {
+The document is checked against the schemas before anything is written. If a write fails, every record created
+so far is deleted again (newest first) and the result reports what was rolled back.
+
+EXAMPLE:
+{"customer": {"email": "a@b.co"}, "lines": [{"product_Id": "...", "quantity": 2}], "tags": ["tag-id", {"name": "gift"}]}`,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name",
+                        },
+                        data: {
                             type: "object",
-                            properties: {
-                                id: {
-                                    type: "string",
-                                    description: "Template ID (UUID)",
-                                },
-                                subject: {
-                                    type: "string",
-                                    description: "Email subject line (supports variables like {{user.firstName}})",
-                                },
-                                description: {
-                                    type: "string",
-                                    description: "Template description",
-                                },
-                                body: {
-                                    type: "string",
-                                    description: "Template body as HTML string or GrapesJS project JSON",
-                                },
-                                isActive: {
-                                    type: "boolean",
-                                    description: "Whether the template is active",
-                                },
-                            },
-                            required: ["id"],
+                            description: "Item data with nested related records",
                         },
                     },
-
-                    // Permission Tools
-                    {
-                        name: "baasix_list_roles",
-                        description: "List all available roles",
-                        inputSchema: {
+                    required: ["collection", "data"],
+                    additionalProperties: false,
+                },
+            },
+            {
+                name: "baasix_seed_collection",
+                description: `Fill a collection with plausible fake records generated from its schema, e.g. for demos or tests.
+
+Values follow the field types, enum values and validation rules (min, max, len, isEmail, isUrl, is/matches
+patterns); text fields get values that suit their name (email, name, city, title, ...). M2O foreign keys are
+set to IDs of existing records of the target collection. Primary keys with defaults, timestamps and
+auto-increment fields are left to Baasix.
+
+The same seed gives the same records, so a run can be previewed with dryRun: true and then written. Warnings
+name fields whose generated values break a rule the generator does not cover.`,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name",
+                        },
+                        count: {
+                            type: "integer",
+                            description: `Number of records to generate (default: 10, max: ${SEED_LIMITS.maxCount})`,
+                            default: 10,
+                        },
+                        seed: {
+                            type: "integer",
+                            description: "Seed for the generator; a random one is picked and returned when omitted",
+                        },
+                        overrides: {
                             type: "object",
-                            properties: {},
-                            additionalProperties: false,
+                            description: 'Field values used for every record instead of generated ones, e.g. {"status": "draft"}',
+                        },
+                        dryRun: {
+                            type: "boolean",
+                            description: "Return the generated records without writing them (default: false)",
+                            default: false,
+                        },
+                        chunkSize: {
+                            type: "number",
+                            description: "Items per chunk (default: 100)",
+                            default: 100,
+                        },
+                        concurrency: {
+                            type: "number",
+                            description: "Parallel requests within a chunk (default: 5, max: 20)",
+                            default: 5,
+                        },
+                        stopOnError: {
+                            type: "boolean",
+                            description: "Skip the remaining chunks once an item has failed (default: false)",
+                            default: false,
                         },
                     },
-                    {
-                        name: "baasix_list_permissions",
-                        description: "List all permissions with optional filtering",
-                        inputSchema: {
+                    required: ["collection"],
+                    additionalProperties: false,
+                },
+            },
+            {
+                name: "baasix_bulk_delete_items",
+                description: `Delete many items, selected by ID list or by filter (one of the two).
+
+"confirm" must equal the number of selected items, otherwise nothing is deleted and the actual count is
+returned in the error. Items are deleted in chunks with limited concurrency, and the result reports success
+or failure for every item.`,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name",
+                        },
+                        ids: {
+                            type: "array",
+                            items: { type: "string" },
+                            description: "IDs of the items to delete",
+                        },
+                        filter: {
                             type: "object",
-                            properties: {
-                                filter: {
-                                    type: "object",
-                                    description: "Filter criteria",
-                                },
-                                sort: {
-                                    type: "string",
-                                    description: 'Sort field and direction (e.g., "collection:asc")',
-                                },
-                                page: {
-                                    type: "number",
-                                    description: "Page number (default: 1)",
-                                    default: 1,
-                                },
-                                limit: {
-                                    type: "number",
-                                    description: "Permissions per page (default: 10)",
-                                    default: 10,
-                                },
-                            },
+                            description: "Filter selecting the items to delete (same syntax as baasix_list_items)",
                         },
-                    },
-                    {
-                        name: "baasix_get_permission",
-                        description: "Get a specific permission by ID",
-                        inputSchema: {
+                        confirm: {
+                            type: "number",
+                            description: "Number of items you expect to delete; must match the selection",
+                        },
+                        chunkSize: {
+                            type: "number",
+                            description: "Items per chunk (default: 100)",
+                            default: 100,
+                        },
+                        concurrency: {
+                            type: "number",
+                            description: "Parallel requests within a chunk (default: 5, max: 20)",
+                            default: 5,
+                        },
+                        stopOnError: {
+                            type: "boolean",
+                            description: "Skip the remaining chunks once an item has failed (default: false)",
+                            default: false,
+                        },
+                    },
+                    required: ["collection", "confirm"],
+                    additionalProperties: false,
+                },
+            },
+
+            // File Management Tools
+            {
+                name: "baasix_list_files",
+                description: "List files with metadata and optional filtering",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        filter: {
                             type: "object",
-                            properties: {
-                                id: {
-                                    type: "string",
-                                    description: "Permission ID",
-                                },
-                            },
-                            required: ["id"],
+                            description: "Filter criteria",
+                        },
+                        page: {
+                            type: "number",
+                            description: "Page number (default: 1)",
+                            default: 1,
+                        },
+                        limit: {
+                            type: "number",
+                            description: "Files per page (default: 10)",
+                            default: 10,
                         },
+                        ...OUTPUT_OPTION_PROPERTIES,
                     },
-                    {
-                        name: "baasix_get_permissions",
-                        description: "Get permissions for a specific role",
-                        inputSchema: {
+                },
+            },
+            {
+                name: "baasix_get_file_info",
+                description: "Get detailed information about a specific file",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        id: {
+                            type: "string",
+                            description: "File ID",
+                        },
+                        ...OUTPUT_OPTION_PROPERTIES,
+                    },
+                    required: ["id"],
+                },
+            },
+            {
+                name: "baasix_delete_file",
+                description: "Delete a file",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        id: {
+                            type: "string",
+                            description: "File ID",
+                        },
+                    },
+                    required: ["id"],
+                },
+            },
+
+            // Authentication Tools
+            {
+                name: "baasix_auth_status",
+                description: "Check the current authentication status and token validity",
+                inputSchema: {
+                    type: "object",
+                    properties: {},
+                    additionalProperties: false,
+                },
+            },
+            {
+                name: "baasix_refresh_auth",
+                description:
+                    "Force refresh the authentication token, using the refresh token if the server provided one (only works for email/password auth, and not while a session from baasix_login or baasix_switch_tenant is active)",
+                inputSchema: {
+                    type: "object",
+                    properties: {},
+                    additionalProperties: false,
+                },
+            },
+
+            // Reports and Analytics Tools
+            {
+                name: "baasix_generate_report",
+                description: "Generate reports with grouping and aggregation for a collection",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name",
+                        },
+                        groupBy: {
+                            type: "string",
+                            description: "Field to group by",
+                        },
+                        filter: {
+                            type: "object",
+                            description: "Filter criteria",
+                        },
+                        where: {
+                            type: "string",
+                            description:
+                                "Filter as text, e.g. \"status = 'active' and price between 10 and 100\" (combined with filter using AND)",
+                        },
+                        dateRange: {
                             type: "object",
                             properties: {
-                                role: {
-                                    type: "string",
-                                    description: "Role name",
-                                },
+                                start: { type: "string" },
+                                end: { type: "string" },
                             },
-                            required: ["role"],
+                            description: "Date range filter",
                         },
+                        ...OUTPUT_OPTION_PROPERTIES,
                     },
-                    {
-                        name: "baasix_create_permission",
-                        description: `Create a new permission for role-based access control.
+                    required: ["collection"],
+                },
+            },
+            {
+                name: "baasix_collection_stats",
+                description: "Get collection statistics and analytics",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collections: {
+                            type: "array",
+                            items: { type: "string" },
+                            description: "Specific collections to get stats for",
+                        },
+                        timeframe: {
+                            type: "string",
+                            description: 'Timeframe for stats (e.g., "24h", "7d", "30d")',
+                        },
+                        ...OUTPUT_OPTION_PROPERTIES,
+                    },
+                },
+            },
+
+            // Notification Tools
+            {
+                name: "baasix_list_notifications",
+                description: "List notifications for the authenticated user",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        page: {
+                            type: "number",
+                            description: "Page number (default: 1)",
+                            default: 1,
+                        },
+                        limit: {
+                            type: "number",
+                            description: "Notifications per page (default: 10)",
+                            default: 10,
+                        },
+                        seen: {
+                            type: "boolean",
+                            description: "Filter by seen status",
+                        },
+                        ...OUTPUT_OPTION_PROPERTIES,
+                    },
+                },
+            },
+            {
+                name: "baasix_send_notification",
+                description: "Send a notification to specified users",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        recipients: {
+                            type: "array",
+                            items: { type: "string" },
+                            description: "Array of user IDs to send notification to",
+                        },
+                        title: {
+                            type: "string",
+                            description: "Notification title",
+                        },
+                        message: {
+                            type: "string",
+                            description: "Notification message",
+                        },
+                        type: {
+                            type: "string",
+                            description: "Notification type",
+                            default: "info",
+                        },
+                    },
+                    required: ["recipients", "title", "message"],
+                },
+            },
+            {
+                name: "baasix_mark_notification_seen",
+                description: "Mark a notification as seen",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        id: {
+                            type: "string",
+                            description: "Notification ID",
+                        },
+                    },
+                    required: ["id"],
+                },
+            },
+
+            // Settings Tools
+            {
+                name: "baasix_get_settings",
+                description: "Get application settings",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        key: {
+                            type: "string",
+                            description: "Specific setting key to retrieve",
+                        },
+                    },
+                },
+            },
+            {
+                name: "baasix_update_settings",
+                description: "Update application settings",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        settings: {
+                            type: "object",
+                            description: "Settings object to update",
+                        },
+                    },
+                    required: ["settings"],
+                },
+            },
+
+            // Email Template Tools
+            {
+                name: "baasix_list_templates",
+                description: "List all email templates with optional filtering",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        filter: {
+                            type: "object",
+                            description: "Filter criteria (e.g., {type: {eq: 'magic_link'}})",
+                        },
+                        page: {
+                            type: "number",
+                            description: "Page number (default: 1)",
+                            default: 1,
+                        },
+                        limit: {
+                            type: "number",
+                            description: "Templates per page (default: 10)",
+                            default: 10,
+                        },
+                        ...OUTPUT_OPTION_PROPERTIES,
+                    },
+                },
+            },
+            {
+                name: "baasix_get_template",
+                description: "Get a specific email template by ID",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        id: {
+                            type: "string",
+                            description: "Template ID (UUID)",
+                        },
+                    },
+                    required: ["id"],
+                },
+            },
+            {
+                name: "baasix_update_template",
+                description: `Update an email template's subject, description, or body content.
+
+TEMPLATE TYPES:
+- magic_link: Magic link authentication emails
+- invite: User invitation emails
+- password_reset: Password reset emails
+- welcome: Welcome emails
+- verification: Email verification emails
+
+AVAILABLE VARIABLES:
+- User: {{user.firstName}}, {{user.lastName}}, {{user.fullName}}, {{user.email}}
+- Tenant: {{tenant.name}}, {{tenant.logo}}, {{tenant.website}}
+- Auth: {{magicLink}}, {{magicCode}}, {{resetPasswordLink}}, {{inviteLink}}
+- DateTime: {{currentDate}}, {{currentTime}}, {{currentYear}}`,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        id: {
+                            type: "string",
+                            description: "Template ID (UUID)",
+                        },
+                        subject: {
+                            type: "string",
+                            description: "Email subject line (supports variables like {{user.firstName}})",
+                        },
+                        description: {
+                            type: "string",
+                            description: "Template description",
+                        },
+                        body: {
+                            type: "string",
+                            description: "Template body as HTML string or GrapesJS project JSON",
+                        },
+                        isActive: {
+                            type: "boolean",
+                            description: "Whether the template is active",
+                        },
+                    },
+                    required: ["id"],
+                },
+            },
+
+            // Permission Tools
+            {
+                name: "baasix_list_roles",
+                description: "List all available roles",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        ...OUTPUT_OPTION_PROPERTIES,
+                    },
+                    additionalProperties: false,
+                },
+            },
+            {
+                name: "baasix_list_permissions",
+                description: "List all permissions with optional filtering",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        filter: {
+                            type: "object",
+                            description: "Filter criteria",
+                        },
+                        where: {
+                            type: "string",
+                            description:
+                                "Filter as text, e.g. \"status = 'active' and price between 10 and 100\" (combined with filter using AND)",
+                        },
+                        sort: {
+                            type: "string",
+                            description: 'Sort field and direction (e.g., "collection:asc")',
+                        },
+                        page: {
+                            type: "number",
+                            description: "Page number (default: 1)",
+                            default: 1,
+                        },
+                        limit: {
+                            type: "number",
+                            description: "Permissions per page (default: 10)",
+                            default: 10,
+                        },
+                        ...OUTPUT_OPTION_PROPERTIES,
+                    },
+                },
+            },
+            {
+                name: "baasix_get_permission",
+                description: "Get a specific permission by ID",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        id: {
+                            type: "string",
+                            description: "Permission ID",
+                        },
+                        ...OUTPUT_OPTION_PROPERTIES,
+                    },
+                    required: ["id"],
+                },
+            },
+            {
+                name: "baasix_get_permissions",
+                description: "Get permissions for a specific role",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        role: {
+                            type: "string",
+                            description: "Role name",
+                        },
+                    },
+                    required: ["role"],
+                },
+            },
+            {
+                name: "baasix_create_permission",
+                description: `Create a new permission for role-based access control.
 
 ACTIONS: create, read, update, delete
 
@@ -1049,6 +1899,7 @@ CONDITIONS (Row-level security):
 - Uses same filter operators as queries
 - {"published": {"eq": true}} - only published records
 - {"author_Id": {"eq": "$CURRENT_USER"}} - only own records
+- Or as text with "where": author_Id = $CURRENT_USER and published = true
 
 RELCONDITIONS (Filter related data):
 - {"reviews": {"approved": {"eq": true}}} - only approved reviews in response
@@ -1061,149 +1912,159 @@ EXAMPLE:
   "fields": ["*"],
   "conditions": {"published": {"eq": true}}
 }`,
-                        inputSchema: {
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        role_Id: {
+                            type: "string",
+                            description: "Role ID (UUID)",
+                        },
+                        collection: {
+                            type: "string",
+                            description: "Collection name",
+                        },
+                        action: {
+                            type: "string",
+                            enum: ["create", "read", "update", "delete"],
+                            description: "Permission action",
+                        },
+                        fields: {
+                            type: "array",
+                            items: { type: "string" },
+                            description: 'Allowed fields (["*"] for all)',
+                        },
+                        conditions: {
                             type: "object",
-                            properties: {
-                                role_Id: {
-                                    type: "string",
-                                    description: "Role ID (UUID)",
-                                },
-                                collection: {
-                                    type: "string",
-                                    description: "Collection name",
-                                },
-                                action: {
-                                    type: "string",
-                                    enum: ["create", "read", "update", "delete"],
-                                    description: "Permission action",
-                                },
-                                fields: {
-                                    type: "array",
-                                    items: { type: "string" },
-                                    description: 'Allowed fields (["*"] for all)',
-                                },
-                                conditions: {
-                                    type: "object",
-                                    description: "Row-level security conditions using filter operators",
-                                },
-                                defaultValues: {
-                                    type: "object",
-                                    description:
-                                        'Default values auto-set on creation (e.g., {"author_Id": "$CURRENT_USER"})',
-                                },
-                                relConditions: {
-                                    type: "object",
-                                    description: "Filter conditions for related records in response",
-                                },
-                            },
-                            required: ["role_Id", "collection", "action"],
+                            description: "Row-level security conditions using filter operators",
                         },
-                    },
-                    {
-                        name: "baasix_update_permission",
-                        description: "Update an existing permission",
-                        inputSchema: {
+                        where: {
+                            type: "string",
+                            description:
+                                "Conditions as text, e.g. \"author_Id = $CURRENT_USER and published = true\" (combined with conditions using AND)",
+                        },
+                        defaultValues: {
                             type: "object",
-                            properties: {
-                                id: {
-                                    type: "string",
-                                    description: "Permission ID",
-                                },
-                                role_Id: {
-                                    type: "string",
-                                    description: "Role ID",
-                                },
-                                collection: {
-                                    type: "string",
-                                    description: "Collection name",
-                                },
-                                action: {
-                                    type: "string",
-                                    enum: ["create", "read", "update", "delete"],
-                                    description: "Permission action",
-                                },
-                                fields: {
-                                    type: "array",
-                                    items: { type: "string" },
-                                    description: "Allowed fields",
-                                },
-                                conditions: {
-                                    type: "object",
-                                    description: "Permission conditions",
-                                },
-                                defaultValues: {
-                                    type: "object",
-                                    description: "Default values for creation",
-                                },
-                                relConditions: {
-                                    type: "object",
-                                    description: "Relationship conditions",
-                                },
-                            },
-                            required: ["id"],
+                            description:
+                                'Default values auto-set on creation (e.g., {"author_Id": "$CURRENT_USER"})',
                         },
-                    },
-                    {
-                        name: "baasix_delete_permission",
-                        description: "Delete a permission",
-                        inputSchema: {
+                        relConditions: {
                             type: "object",
-                            properties: {
-                                id: {
-                                    type: "string",
-                                    description: "Permission ID",
-                                },
-                            },
-                            required: ["id"],
+                            description: "Filter conditions for related records in response",
                         },
                     },
-                    {
-                        name: "baasix_reload_permissions",
-                        description: "Reload the permission cache",
-                        inputSchema: {
+                    required: ["role_Id", "collection", "action"],
+                },
+            },
+            {
+                name: "baasix_update_permission",
+                description: "Update an existing permission",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        id: {
+                            type: "string",
+                            description: "Permission ID",
+                        },
+                        role_Id: {
+                            type: "string",
+                            description: "Role ID",
+                        },
+                        collection: {
+                            type: "string",
+                            description: "Collection name",
+                        },
+                        action: {
+                            type: "string",
+                            enum: ["create", "read", "update", "delete"],
+                            description: "Permission action",
+                        },
+                        fields: {
+                            type: "array",
+                            items: { type: "string" },
+                            description: "Allowed fields",
+                        },
+                        conditions: {
+                            type: "object",
+                            description: "Permission conditions",
+                        },
+                        where: {
+                            type: "string",
+                            description:
+                                "Conditions as text, e.g. \"author_Id = $CURRENT_USER and published = true\" (combined with conditions using AND)",
+                        },
+                        defaultValues: {
+                            type: "object",
+                            description: "Default values for creation",
+                        },
+                        relConditions: {
                             type: "object",
-                            properties: {},
-                            additionalProperties: false,
+                            description: "Relationship conditions",
                         },
                     },
-                    {
-                        name: "baasix_update_permissions",
-                        description: "Update permissions for a role",
-                        inputSchema: {
+                    required: ["id"],
+                },
+            },
+            {
+                name: "baasix_delete_permission",
+                description: "Delete a permission",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        id: {
+                            type: "string",
+                            description: "Permission ID",
+                        },
+                    },
+                    required: ["id"],
+                },
+            },
+            {
+                name: "baasix_reload_permissions",
+                description: "Reload the permission cache",
+                inputSchema: {
+                    type: "object",
+                    properties: {},
+                    additionalProperties: false,
+                },
+            },
+            {
+                name: "baasix_update_permissions",
+                description: "Update permissions for a role",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        role: {
+                            type: "string",
+                            description: "Role name",
+                        },
+                        permissions: {
                             type: "object",
-                            properties: {
-                                role: {
-                                    type: "string",
-                                    description: "Role name",
-                                },
-                                permissions: {
-                                    type: "object",
-                                    description: "Permissions object",
-                                },
-                            },
-                            required: ["role", "permissions"],
+                            description: "Permissions object",
                         },
                     },
+                    required: ["role", "permissions"],
+                },
+            },
 
-                    // Realtime Tools
-                    {
-                        name: "baasix_realtime_status",
-                        description: `Get the status of the realtime service including WAL configuration.
+            // Realtime Tools
+            {
+                name: "baasix_realtime_status",
+                description: `Get the status of the realtime service including WAL configuration.
 
 Returns information about:
 - Whether realtime is initialized and consuming WAL
 - PostgreSQL replication configuration (wal_level, max_replication_slots)
 - Publication and replication slot status
 - Collections with realtime enabled`,
-                        inputSchema: {
-                            type: "object",
-                            properties: {},
-                            additionalProperties: false,
-                        },
-                    },
-                    {
-                        name: "baasix_realtime_config",
-                        description: `Check PostgreSQL replication configuration for WAL-based realtime.
+                inputSchema: {
+                    type: "object",
+                    properties: {},
+                    additionalProperties: false,
+                },
+            },
+            {
+                name: "baasix_realtime_config",
+                description: `Check PostgreSQL replication configuration for WAL-based realtime.
 
 Returns:
 - walLevel: Should be 'logical' for realtime to work
@@ -1212,490 +2073,1036 @@ Returns:
 - replicationSlotExists: Whether the baasix slot exists
 - publicationExists: Whether the baasix publication exists
 - tablesInPublication: List of tables currently in the publication`,
-                        inputSchema: {
-                            type: "object",
-                            properties: {},
-                            additionalProperties: false,
+                inputSchema: {
+                    type: "object",
+                    properties: {},
+                    additionalProperties: false,
+                },
+            },
+            {
+                name: "baasix_realtime_collections",
+                description: "Get list of collections with realtime enabled and their action configurations",
+                inputSchema: {
+                    type: "object",
+                    properties: {},
+                    additionalProperties: false,
+                },
+            },
+            {
+                name: "baasix_realtime_enable",
+                description: `Enable realtime for a collection. Changes will be broadcast via WebSocket when data is modified.
+
+The realtime config is stored in the schema definition and can include specific actions to broadcast.`,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name to enable realtime for",
+                        },
+                        actions: {
+                            type: "array",
+                            items: { type: "string", enum: ["insert", "update", "delete"] },
+                            description: 'Actions to broadcast (default: ["insert", "update", "delete"])',
+                        },
+                        replicaIdentityFull: {
+                            type: "boolean",
+                            description: "Set REPLICA IDENTITY FULL for old values on UPDATE/DELETE (default: false)",
                         },
                     },
-                    {
-                        name: "baasix_realtime_collections",
-                        description: "Get list of collections with realtime enabled and their action configurations",
-                        inputSchema: {
-                            type: "object",
-                            properties: {},
-                            additionalProperties: false,
+                    required: ["collection"],
+                },
+            },
+            {
+                name: "baasix_realtime_disable",
+                description: "Disable realtime for a collection",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name to disable realtime for",
                         },
                     },
-                    {
-                        name: "baasix_realtime_enable",
-                        description: `Enable realtime for a collection. Changes will be broadcast via WebSocket when data is modified.
-
-The realtime config is stored in the schema definition and can include specific actions to broadcast.`,
-                        inputSchema: {
-                            type: "object",
-                            properties: {
-                                collection: {
-                                    type: "string",
-                                    description: "Collection name to enable realtime for",
-                                },
-                                actions: {
-                                    type: "array",
-                                    items: { type: "string", enum: ["insert", "update", "delete"] },
-                                    description: 'Actions to broadcast (default: ["insert", "update", "delete"])',
-                                },
-                                replicaIdentityFull: {
-                                    type: "boolean",
-                                    description: "Set REPLICA IDENTITY FULL for old values on UPDATE/DELETE (default: false)",
-                                },
-                            },
-                            required: ["collection"],
+                    required: ["collection"],
+                },
+            },
+
+            // Utility Tools
+            {
+                name: "baasix_server_info",
+                description: "Get Baasix server information and health status",
+                inputSchema: {
+                    type: "object",
+                    properties: {},
+                    additionalProperties: false,
+                },
+            },
+            {
+                name: "baasix_list_profiles",
+                description: `List the configured Baasix instance profiles (e.g. dev, staging, prod).
+
+Pass a profile name as the "profile" argument of any tool to run it against that instance,
+e.g. read from "staging" and create on "prod" to copy data between environments.`,
+                inputSchema: {
+                    type: "object",
+                    properties: {},
+                    additionalProperties: false,
+                },
+            },
+            {
+                name: "baasix_audit_log",
+                description: `Query the local audit log of tool calls made through this server (most recent first).
+
+Requires BAASIX_MCP_AUDIT_LOG. Entries hold the tool, arguments (secrets redacted), profile, tenant,
+HTTP status, duration and result size.`,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        tool: {
+                            type: "string",
+                            description: "Only calls to this tool (e.g. baasix_delete_item)",
                         },
-                    },
-                    {
-                        name: "baasix_realtime_disable",
-                        description: "Disable realtime for a collection",
-                        inputSchema: {
-                            type: "object",
-                            properties: {
-                                collection: {
-                                    type: "string",
-                                    description: "Collection name to disable realtime for",
-                                },
-                            },
-                            required: ["collection"],
+                        collection: {
+                            type: "string",
+                            description: "Only calls with this collection argument",
+                        },
+                        outcome: {
+                            type: "string",
+                            enum: ["success", "error"],
+                            description: "Only successful or failed calls",
+                        },
+                        since: {
+                            type: "string",
+                            description: "Start of the time window: ISO date or duration before now (e.g. 15m, 2h, 7d)",
+                        },
+                        until: {
+                            type: "string",
+                            description: "End of the time window: ISO date or duration before now",
                         },
+                        limit: {
+                            type: "number",
+                            description: "Maximum number of entries to return",
+                            default: 50,
+                        },
+                        ...OUTPUT_OPTION_PROPERTIES,
                     },
-
-                    // Utility Tools
-                    {
-                        name: "baasix_server_info",
-                        description: "Get Baasix server information and health status",
-                        inputSchema: {
-                            type: "object",
-                            properties: {},
-                            additionalProperties: false,
+                    additionalProperties: false,
+                },
+            },
+            {
+                name: "baasix_get_overflow",
+                description: `Read the rest of a response that was cut down to the maximum response size
+(BAASIX_MCP_MAX_RESPONSE_BYTES), or write all of it to a local file.
+
+Cut responses end with an "overflow" summary holding the handle and nextOffset. Handles expire after 30 minutes.
+Records are returned from offset (characters for responses that are not a list of records); pass path to write
+the whole result to a CSV, NDJSON or JSON file instead.`,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        handle: {
+                            type: "string",
+                            description: "Handle from the overflow summary",
+                        },
+                        offset: {
+                            type: "number",
+                            description: "First record (or character) to return (default: 0)",
+                            default: 0,
+                        },
+                        limit: {
+                            type: "number",
+                            description: "Records (or characters) to return (default: 100 records, 50000 characters)",
+                        },
+                        path: {
+                            type: "string",
+                            description: "Write the full result to this file instead (.csv, .ndjson/.jsonl or .json); not allowed in readonly mode",
                         },
+                        fileFormat: {
+                            type: "string",
+                            enum: EXPORT_FORMATS,
+                            description: "File format when it cannot be told from the path extension",
+                        },
+                        overwrite: {
+                            type: "boolean",
+                            description: "Replace the file if it exists (default: false)",
+                            default: false,
+                        },
+                        ...OUTPUT_OPTION_PROPERTIES,
                     },
-                    {
-                        name: "baasix_sort_items",
-                        description: "Sort items within a collection (move item before/after another)",
-                        inputSchema: {
-                            type: "object",
-                            properties: {
-                                collection: {
-                                    type: "string",
-                                    description: "Collection name",
-                                },
-                                item: {
-                                    type: "string",
-                                    description: "ID of item to move",
-                                },
-                                to: {
-                                    type: "string",
-                                    description: "ID of target item to move before",
-                                },
-                            },
-                            required: ["collection", "item", "to"],
+                    required: ["handle"],
+                    additionalProperties: false,
+                },
+            },
+            {
+                name: "baasix_sort_items",
+                description: "Sort items within a collection (move item before/after another)",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        collection: {
+                            type: "string",
+                            description: "Collection name",
+                        },
+                        item: {
+                            type: "string",
+                            description: "ID of item to move",
+                        },
+                        to: {
+                            type: "string",
+                            description: "ID of target item to move before",
                         },
                     },
+                    required: ["collection", "item", "to"],
+                },
+            },
 
-                    // Auth Tools
-                    {
-                        name: "baasix_register_user",
-                        description: "Register a new user",
-                        inputSchema: {
-                            type: "object",
-                            properties: {
-                                email: {
-                                    type: "string",
-                                    format: "email",
-                                    description: "User email address",
-                                },
-                                password: {
-                                    type: "string",
-                                    description: "User password",
-                                },
-                                firstName: {
-                                    type: "string",
-                                    description: "User first name",
-                                },
-                                lastName: {
-                                    type: "string",
-                                    description: "User last name",
-                                },
-                                tenant: {
-                                    type: "object",
-                                    description: "Tenant information for multi-tenant mode",
-                                },
-                                roleName: {
-                                    type: "string",
-                                    description: "Role name to assign",
-                                },
-                                inviteToken: {
-                                    type: "string",
-                                    description: "Invitation token",
-                                },
-                                authMode: {
-                                    type: "string",
-                                    enum: ["jwt", "cookie"],
-                                    description: "Authentication mode",
-                                    default: "jwt",
-                                },
-                            },
-                            required: ["email", "password"],
+            // Auth Tools
+            {
+                name: "baasix_register_user",
+                description: "Register a new user",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        email: {
+                            type: "string",
+                            format: "email",
+                            description: "User email address",
                         },
-                    },
-                    {
-                        name: "baasix_login",
-                        description: "Login user with email and password",
-                        inputSchema: {
-                            type: "object",
-                            properties: {
-                                email: {
-                                    type: "string",
-                                    format: "email",
-                                    description: "User email address",
-                                },
-                                password: {
-                                    type: "string",
-                                    description: "User password",
-                                },
-                                tenant_Id: {
-                                    type: "string",
-                                    description: "Tenant ID for multi-tenant mode",
-                                },
-                                authMode: {
-                                    type: "string",
-                                    enum: ["jwt", "cookie"],
-                                    description: "Authentication mode",
-                                    default: "jwt",
-                                },
-                            },
-                            required: ["email", "password"],
+                        password: {
+                            type: "string",
+                            description: "User password",
                         },
-                    },
-                    {
-                        name: "baasix_send_invite",
-                        description: "Send an invitation to a user",
-                        inputSchema: {
+                        firstName: {
+                            type: "string",
+                            description: "User first name",
+                        },
+                        lastName: {
+                            type: "string",
+                            description: "User last name",
+                        },
+                        tenant: {
                             type: "object",
-                            properties: {
-                                email: {
-                                    type: "string",
-                                    format: "email",
-                                    description: "Email address to invite",
-                                },
-                                role_Id: {
-                                    type: "string",
-                                    description: "Role ID to assign",
-                                },
-                                tenant_Id: {
-                                    type: "string",
-                                    description: "Tenant ID",
-                                },
-                                link: {
-                                    type: "string",
-                                    format: "uri",
-                                    description: "Application URL for the invitation link",
-                                },
-                            },
-                            required: ["email", "role_Id", "link"],
+                            description: "Tenant information for multi-tenant mode",
+                        },
+                        roleName: {
+                            type: "string",
+                            description: "Role name to assign",
+                        },
+                        inviteToken: {
+                            type: "string",
+                            description: "Invitation token",
+                        },
+                        authMode: {
+                            type: "string",
+                            enum: ["jwt", "cookie"],
+                            description: "Authentication mode",
+                            default: "jwt",
                         },
                     },
-                    {
-                        name: "baasix_verify_invite",
-                        description: "Verify an invitation token",
-                        inputSchema: {
-                            type: "object",
-                            properties: {
-                                token: {
-                                    type: "string",
-                                    description: "Invitation token",
-                                },
-                                link: {
-                                    type: "string",
-                                    format: "uri",
-                                    description: "Application URL to validate",
-                                },
-                            },
-                            required: ["token"],
+                    required: ["email", "password"],
+                },
+            },
+            {
+                name: "baasix_login",
+                description:
+                    "Login user with email and password. By default the returned token becomes the active session for all following tool calls",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        email: {
+                            type: "string",
+                            format: "email",
+                            description: "User email address",
+                        },
+                        password: {
+                            type: "string",
+                            description: "User password",
+                        },
+                        tenant_Id: {
+                            type: "string",
+                            description: "Tenant ID for multi-tenant mode",
+                        },
+                        authMode: {
+                            type: "string",
+                            enum: ["jwt", "cookie"],
+                            description: "Authentication mode",
+                            default: "jwt",
+                        },
+                        activate: {
+                            type: "boolean",
+                            description:
+                                "Use the returned token for all following tool calls (default: true). Call baasix_logout to revert to the configured identity",
+                            default: true,
                         },
                     },
-                    {
-                        name: "baasix_send_magic_link",
-                        description: "Send magic link or code for authentication",
-                        inputSchema: {
-                            type: "object",
-                            properties: {
-                                email: {
-                                    type: "string",
-                                    format: "email",
-                                    description: "User email address",
-                                },
-                                link: {
-                                    type: "string",
-                                    format: "uri",
-                                    description: "Application URL for magic link",
-                                },
-                                mode: {
-                                    type: "string",
-                                    enum: ["link", "code"],
-                                    description: "Magic authentication mode",
-                                    default: "link",
-                                },
-                            },
-                            required: ["email"],
+                    required: ["email", "password"],
+                },
+            },
+            {
+                name: "baasix_send_invite",
+                description: "Send an invitation to a user",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        email: {
+                            type: "string",
+                            format: "email",
+                            description: "Email address to invite",
+                        },
+                        role_Id: {
+                            type: "string",
+                            description: "Role ID to assign",
+                        },
+                        tenant_Id: {
+                            type: "string",
+                            description: "Tenant ID",
+                        },
+                        link: {
+                            type: "string",
+                            format: "uri",
+                            description: "Application URL for the invitation link",
                         },
                     },
-                    {
-                        name: "baasix_get_user_tenants",
-                        description: "Get available tenants for the current user",
-                        inputSchema: {
-                            type: "object",
-                            properties: {},
-                            additionalProperties: false,
+                    required: ["email", "role_Id", "link"],
+                },
+            },
+            {
+                name: "baasix_verify_invite",
+                description: "Verify an invitation token",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        token: {
+                            type: "string",
+                            description: "Invitation token",
+                        },
+                        link: {
+                            type: "string",
+                            format: "uri",
+                            description: "Application URL to validate",
                         },
                     },
-                    {
-                        name: "baasix_switch_tenant",
-                        description: "Switch to a different tenant context",
-                        inputSchema: {
-                            type: "object",
-                            properties: {
-                                tenant_Id: {
-                                    type: "string",
-                                    description: "Tenant ID to switch to",
-                                },
-                            },
-                            required: ["tenant_Id"],
+                    required: ["token"],
+                },
+            },
+            {
+                name: "baasix_send_magic_link",
+                description: "Send magic link or code for authentication",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        email: {
+                            type: "string",
+                            format: "email",
+                            description: "User email address",
+                        },
+                        link: {
+                            type: "string",
+                            format: "uri",
+                            description: "Application URL for magic link",
+                        },
+                        mode: {
+                            type: "string",
+                            enum: ["link", "code"],
+                            description: "Magic authentication mode",
+                            default: "link",
                         },
                     },
-                    {
-                        name: "baasix_logout",
-                        description: "Logout the current user",
-                        inputSchema: {
-                            type: "object",
-                            properties: {},
-                            additionalProperties: false,
+                    required: ["email"],
+                },
+            },
+            {
+                name: "baasix_get_user_tenants",
+                description: "Get available tenants for the current user",
+                inputSchema: {
+                    type: "object",
+                    properties: {},
+                    additionalProperties: false,
+                },
+            },
+            {
+                name: "baasix_switch_tenant",
+                description:
+                    "Switch to a different tenant context. By default the returned token becomes the active session for all following tool calls",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        tenant_Id: {
+                            type: "string",
+                            description: "Tenant ID to switch to",
+                        },
+                        activate: {
+                            type: "boolean",
+                            description: "Use the returned token for all following tool calls (default: true)",
+                            default: true,
                         },
                     },
-                    {
-                        name: "baasix_get_current_user",
-                        description: "Get current user information with role and permissions",
-                        inputSchema: {
-                            type: "object",
-                            properties: {
-                                fields: {
-                                    type: "array",
-                                    items: { type: "string" },
-                                    description: "Specific fields to retrieve",
-                                },
-                            },
+                    required: ["tenant_Id"],
+                },
+            },
+            {
+                name: "baasix_logout",
+                description:
+                    "Logout the current user. If a session from baasix_login or baasix_switch_tenant is active, it is ended and tool calls revert to the configured identity",
+                inputSchema: {
+                    type: "object",
+                    properties: {},
+                    additionalProperties: false,
+                },
+            },
+            {
+                name: "baasix_get_current_user",
+                description: "Get current user information with role and permissions",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        fields: {
+                            type: "array",
+                            items: { type: "string" },
+                            description: "Specific fields to retrieve",
                         },
                     },
-                ],
+                },
+            },
+        ];
+    }
+
+    setupHandlers(server) {
+        server.setRequestHandler(ListToolsRequestSchema, async () => {
+            return {
+                tools: toolPolicy.listTools(this.tools),
             };
         });
 
-        this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-            const { name, arguments: args } = request.params;
+        server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+            const { name } = request.params;
+            const { profile, ...args } = request.params.arguments ?? {};
+
+            // Collected for the audit log
+            const startedAt = Date.now();
+            // Sessions adopted with baasix_login belong to the MCP client session (HTTP) that adopted them
+            const clientSession = extra?.sessionId;
+            const tenant = getSessionTenant(profile, clientSession);
+            const context = { clientSession };
+            let result;
+            let failure;
+
+            try {
+                if (!this.toolValidators.has(name)) {
+                    throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+                }
+
+                toolPolicy.assertAllowed(name);
+                validateToolArguments(this.toolValidators, name, request.params.arguments ?? {});
+
+                const reportProgress = createProgressReporter(request, extra);
+                result = await runWithProfile(profile, () => this.callTool(name, args, { reportProgress }), context);
+
+                // Schema changes make cached schemas stale
+                if (getToolCategory(name) === "schema" && getToolAccess(name) !== "read") {
+                    schemaCache.clear();
+                }
+                return result;
+            } catch (error) {
+                if (error instanceof McpError) {
+                    failure = error;
+                    throw error;
+                }
+
+                // Report failed Baasix requests as tool errors the assistant can act on
+                if (error instanceof BaasixApiError) {
+                    console.error(`Error in tool ${name}: ${error.message}`);
+                    failure = error;
+                    result = toolErrorResult(error);
+                    return result;
+                }
+
+                console.error(`Error in tool ${name}:`, error);
+                failure = new McpError(
+                    ErrorCode.InternalError,
+                    `Tool execution failed: ${error instanceof Error ? error.message : "Unknown error"}`
+                );
+                throw failure;
+            } finally {
+                auditToolCall({ name, args, profile, tenant, context, startedAt, result, failure });
+            }
+        });
+    }
+
+    // Dispatch a tool call to its handler.
+    // options.reportProgress(progress, total, message) sends MCP progress notifications.
+    async callTool(name, args, options = {}) {
+        args = compileWhereArgument(name, args);
+
+        let output = null;
+        if (OUTPUT_TOOLS.has(name)) {
+            const { format = "json", columns, maxCellLength, ...toolArgs } = args;
+            if (maxCellLength !== undefined && maxCellLength < 1) {
+                throw new McpError(ErrorCode.InvalidParams, "maxCellLength must be at least 1");
+            }
+            output = { format, columns, maxCellLength };
+            args = toolArgs;
+        }
+
+        const result = await this.runTool(name, args, options);
+        return renderToolResult(name, result, output);
+    }
+
+    async runTool(name, args, options = {}) {
+        switch (name) {
+            // Schema Management
+            case "baasix_list_schemas":
+                return await this.handleListSchemas(args);
+            case "baasix_get_schema":
+                return await this.handleGetSchema(args);
+            case "baasix_create_schema":
+                return await this.handleCreateSchema(args);
+            case "baasix_update_schema":
+                return await this.handleUpdateSchema(args);
+            case "baasix_delete_schema":
+                return await this.handleDeleteSchema(args);
+            case "baasix_add_index":
+                return await this.handleAddIndex(args);
+            case "baasix_remove_index":
+                return await this.handleRemoveIndex(args);
+            case "baasix_create_relationship":
+                return await this.handleCreateRelationship(args);
+            case "baasix_update_relationship":
+                return await this.handleUpdateRelationship(args);
+            case "baasix_delete_relationship":
+                return await this.handleDeleteRelationship(args);
+            case "baasix_export_schemas":
+                return await this.handleExportSchemas(args);
+            case "baasix_diff_schemas":
+                return await this.handleDiffSchemas(args);
+            case "baasix_import_schemas":
+                return await this.handleImportSchemas(args);
+
+            // Item Management
+            case "baasix_list_items":
+                return await this.handleListItems(args, options);
+            case "baasix_get_item":
+                return await this.handleGetItem(args);
+            case "baasix_create_item":
+                return await this.handleCreateItem(args);
+            case "baasix_update_item":
+                return await this.handleUpdateItem(args);
+            case "baasix_delete_item":
+                return await this.handleDeleteItem(args);
+            case "baasix_restore_item":
+                return await this.handleRestoreItem(args);
+            case "baasix_purge_item":
+                return await this.handlePurgeItem(args);
+            case "baasix_export_items":
+                return await this.handleExportItems(args, options);
+            case "baasix_import_items":
+                return await this.handleImportItems(args, options);
+            case "baasix_bulk_create_items":
+                return await this.handleBulkCreateItems(args);
+            case "baasix_bulk_update_items":
+                return await this.handleBulkUpdateItems(args);
+            case "baasix_bulk_delete_items":
+                return await this.handleBulkDeleteItems(args);
+            case "baasix_upsert_items":
+                return await this.handleUpsertItems(args);
+            case "baasix_clone_item":
+                return await this.handleCloneItem(args);
+            case "baasix_create_nested_item":
+                return await this.handleCreateNestedItem(args);
+            case "baasix_seed_collection":
+                return await this.handleSeedCollection(args, options);
+
+            // File Management
+            case "baasix_list_files":
+                return await this.handleListFiles(args);
+            case "baasix_get_file_info":
+                return await this.handleGetFileInfo(args);
+            case "baasix_delete_file":
+                return await this.handleDeleteFile(args);
+
+            // Authentication
+            case "baasix_auth_status":
+                return await this.handleAuthStatus(args);
+            case "baasix_refresh_auth":
+                return await this.handleRefreshAuth(args);
+
+            // Reports and Analytics
+            case "baasix_generate_report":
+                return await this.handleGenerateReport(args);
+            case "baasix_collection_stats":
+                return await this.handleGetStats(args);
+
+            // Notifications
+            case "baasix_list_notifications":
+                return await this.handleListNotifications(args);
+            case "baasix_send_notification":
+                return await this.handleSendNotification(args);
+            case "baasix_mark_notification_seen":
+                return await this.handleMarkNotificationSeen(args);
+
+            // Settings
+            case "baasix_get_settings":
+                return await this.handleGetSettings(args);
+            case "baasix_update_settings":
+                return await this.handleUpdateSettings(args);
+
+            // Email Templates
+            case "baasix_list_templates":
+                return await this.handleListTemplates(args);
+            case "baasix_get_template":
+                return await this.handleGetTemplate(args);
+            case "baasix_update_template":
+                return await this.handleUpdateTemplate(args);
+
+            // Permissions
+            case "baasix_list_roles":
+                return await this.handleListRoles(args);
+            case "baasix_list_permissions":
+                return await this.handleListPermissions(args);
+            case "baasix_get_permission":
+                return await this.handleGetPermission(args);
+            case "baasix_get_permissions":
+                return await this.handleGetPermissions(args);
+            case "baasix_create_permission":
+                return await this.handleCreatePermission(args);
+            case "baasix_update_permission":
+                return await this.handleUpdatePermission(args);
+            case "baasix_delete_permission":
+                return await this.handleDeletePermission(args);
+            case "baasix_reload_permissions":
+                return await this.handleReloadPermissions(args);
+            case "baasix_update_permissions":
+                return await this.handleUpdatePermissions(args);
+
+            // Realtime
+            case "baasix_realtime_status":
+                return await this.handleRealtimeStatus(args);
+            case "baasix_realtime_config":
+                return await this.handleRealtimeConfig(args);
+            case "baasix_realtime_collections":
+                return await this.handleRealtimeCollections(args);
+            case "baasix_realtime_enable":
+                return await this.handleRealtimeEnable(args);
+            case "baasix_realtime_disable":
+                return await this.handleRealtimeDisable(args);
+
+            // Utilities
+            case "baasix_server_info":
+                return await this.handleServerInfo(args);
+            case "baasix_list_profiles":
+                return await this.handleListProfiles(args);
+            case "baasix_audit_log":
+                return await this.handleAuditLog(args);
+            case "baasix_get_overflow":
+                return await this.handleGetOverflow(args);
+            case "baasix_sort_items":
+                return await this.handleSortItems(args);
+
+            // Auth
+            case "baasix_register_user":
+                return await this.handleRegisterUser(args);
+            case "baasix_login":
+                return await this.handleLogin(args);
+            case "baasix_send_invite":
+                return await this.handleSendInvite(args);
+            case "baasix_verify_invite":
+                return await this.handleVerifyInvite(args);
+            case "baasix_send_magic_link":
+                return await this.handleSendMagicLink(args);
+            case "baasix_get_user_tenants":
+                return await this.handleGetUserTenants(args);
+            case "baasix_switch_tenant":
+                return await this.handleSwitchTenant(args);
+            case "baasix_logout":
+                return await this.handleLogout(args);
+            case "baasix_get_current_user":
+                return await this.handleGetCurrentUser(args);
+
+            default:
+                throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+        }
+    }
+
+    // Schema Management Methods
+    async handleListSchemas(args) {
+        const { search, page, limit, sort = "collectionName:asc" } = args;
+        const params = new URLSearchParams();
+        if (search) params.append("search", search);
+        if (page !== undefined) params.append("page", page.toString());
+        if (limit !== undefined) params.append("limit", limit.toString());
+        params.append("sort", sort);
+
+        const schemas = await baasixRequest(`/schemas?${params}`);
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(schemas, null, 2),
+                },
+            ],
+        };
+    }
+
+    async handleGetSchema(args) {
+        const { collection } = args;
+        const schema = await baasixRequest(`/schemas/${collection}`);
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(schema, null, 2),
+                },
+            ],
+        };
+    }
+
+    async handleCreateSchema(args) {
+        const { collection, schema } = args;
+        const result = await baasixRequest(`/schemas`, {
+            method: "POST",
+            data: { collectionName: collection, schema },
+        });
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(result, null, 2),
+                },
+            ],
+        };
+    }
+
+    async handleUpdateSchema(args) {
+        const { collection, schema } = args;
+        const result = await baasixRequest(`/schemas/${collection}`, {
+            method: "PATCH",
+            data: { schema },
+        });
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(result, null, 2),
+                },
+            ],
+        };
+    }
+
+    async handleDeleteSchema(args) {
+        const { collection } = args;
+        const result = await baasixRequest(`/schemas/${collection}`, {
+            method: "DELETE",
+        });
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(result, null, 2),
+                },
+            ],
+        };
+    }
+
+    async handleAddIndex(args) {
+        const { collection, indexDefinition } = args;
+        const result = await baasixRequest(`/schemas/${collection}/indexes`, {
+            method: "POST",
+            data: indexDefinition,
+        });
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(result, null, 2),
+                },
+            ],
+        };
+    }
+
+    async handleRemoveIndex(args) {
+        const { collection, indexName } = args;
+        const result = await baasixRequest(`/schemas/${collection}/indexes/${indexName}`, {
+            method: "DELETE",
+        });
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(result, null, 2),
+                },
+            ],
+        };
+    }
+
+    async handleCreateRelationship(args) {
+        const { sourceCollection, relationshipData } = args;
+        const result = await baasixRequest(`/schemas/${sourceCollection}/relationships`, {
+            method: "POST",
+            data: relationshipData,
+        });
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(result, null, 2),
+                },
+            ],
+        };
+    }
+
+    async handleUpdateRelationship(args) {
+        const { sourceCollection, fieldName, updateData } = args;
+        const result = await baasixRequest(`/schemas/${sourceCollection}/relationships/${fieldName}`, {
+            method: "PATCH",
+            data: updateData,
+        });
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(result, null, 2),
+                },
+            ],
+        };
+    }
+
+    async handleDeleteRelationship(args) {
+        const { sourceCollection, fieldName } = args;
+        const result = await baasixRequest(`/schemas/${sourceCollection}/relationships/${fieldName}`, {
+            method: "DELETE",
+        });
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(result, null, 2),
+                },
+            ],
+        };
+    }
+
+    async handleExportSchemas(args) {
+        const result = await baasixRequest("/schemas-export");
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(result, null, 2),
+                },
+            ],
+        };
+    }
+
+    async handleImportSchemas(args) {
+        const { schemas } = args;
+        // Note: This is a simplified version. The actual API uses file upload.
+        // For MCP, we'll accept JSON data directly.
+        const result = await baasixRequest("/schemas-import", {
+            method: "POST",
+            data: schemas,
+        });
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(result, null, 2),
+                },
+            ],
+        };
+    }
+
+    async handleDiffSchemas(args) {
+        const { path, compareProfile, collections } = args;
+        if (Boolean(path) === Boolean(compareProfile)) {
+            throw new McpError(ErrorCode.InvalidParams, "Pass either path (a local JSON file) or compareProfile");
+        }
+        if (compareProfile && !getProfileNames().includes(compareProfile)) {
+            throw new McpError(
+                ErrorCode.InvalidParams,
+                `Unknown profile "${compareProfile}". Available profiles: ${getProfileNames().join(", ")}`
+            );
+        }
+
+        const from = { source: "profile", profile: getProfile().name };
+        const current = normalizeSchemas(await baasixRequest("/schemas-export"));
 
+        let to;
+        let wanted;
+        if (compareProfile) {
+            to = { source: "profile", profile: compareProfile };
+            wanted = normalizeSchemas(await runWithProfile(compareProfile, () => baasixRequest("/schemas-export")));
+        } else {
             try {
-                switch (name) {
-                    // Schema Management
-                    case "baasix_list_schemas":
-                        return await this.handleListSchemas(args);
-                    case "baasix_get_schema":
-                        return await this.handleGetSchema(args);
-                    case "baasix_create_schema":
-                        return await this.handleCreateSchema(args);
-                    case "baasix_update_schema":
-                        return await this.handleUpdateSchema(args);
-                    case "baasix_delete_schema":
-                        return await this.handleDeleteSchema(args);
-                    case "baasix_add_index":
-                        return await this.handleAddIndex(args);
-                    case "baasix_remove_index":
-                        return await this.handleRemoveIndex(args);
-                    case "baasix_create_relationship":
-                        return await this.handleCreateRelationship(args);
-                    case "baasix_update_relationship":
-                        return await this.handleUpdateRelationship(args);
-                    case "baasix_delete_relationship":
-                        return await this.handleDeleteRelationship(args);
-                    case "baasix_export_schemas":
-                        return await this.handleExportSchemas(args);
-                    case "baasix_import_schemas":
-                        return await this.handleImportSchemas(args);
-
-                    // Item Management
-                    case "baasix_list_items":
-                        return await this.handleListItems(args);
-                    case "baasix_get_item":
-                        return await this.handleGetItem(args);
-                    case "baasix_create_item":
-                        return await this.handleCreateItem(args);
-                    case "baasix_update_item":
-                        return await this.handleUpdateItem(args);
-                    case "baasix_delete_item":
-                        return await this.handleDeleteItem(args);
-
-                    // File Management
-                    case "baasix_list_files":
-                        return await this.handleListFiles(args);
-                    case "baasix_get_file_info":
-                        return await this.handleGetFileInfo(args);
-                    case "baasix_delete_file":
-                        return await this.handleDeleteFile(args);
-
-                    // Authentication
-                    case "baasix_auth_status":
-                        return await this.handleAuthStatus(args);
-                    case "baasix_refresh_auth":
-                        return await this.handleRefreshAuth(args);
-
-                    // Reports and Analytics
-                    case "baasix_generate_report":
-                        return await this.handleGenerateReport(args);
-                    case "baasix_collection_stats":
-                        return await this.handleGetStats(args);
-
-                    // Notifications
-                    case "baasix_list_notifications":
-                        return await this.handleListNotifications(args);
-                    case "baasix_send_notification":
-                        return await this.handleSendNotification(args);
-                    case "baasix_mark_notification_seen":
-                        return await this.handleMarkNotificationSeen(args);
-
-                    // Settings
-                    case "baasix_get_settings":
-                        return await this.handleGetSettings(args);
-                    case "baasix_update_settings":
-                        return await this.handleUpdateSettings(args);
-
-                    // Email Templates
-                    case "baasix_list_templates":
-                        return await this.handleListTemplates(args);
-                    case "baasix_get_template":
-                        return await this.handleGetTemplate(args);
-                    case "baasix_update_template":
-                        return await this.handleUpdateTemplate(args);
-
-                    // Permissions
-                    case "baasix_list_roles":
-                        return await this.handleListRoles(args);
-                    case "baasix_list_permissions":
-                        return await this.handleListPermissions(args);
-                    case "baasix_get_permission":
-                        return await this.handleGetPermission(args);
-                    case "baasix_get_permissions":
-                        return await this.handleGetPermissions(args);
-                    case "baasix_create_permission":
-                        return await this.handleCreatePermission(args);
-                    case "baasix_update_permission":
-                        return await this.handleUpdatePermission(args);
-                    case "baasix_delete_permission":
-                        return await this.handleDeletePermission(args);
-                    case "baasix_reload_permissions":
-                        return await this.handleReloadPermissions(args);
-                    case "baasix_update_permissions":
-                        return await this.handleUpdatePermissions(args);
-
-                    // Realtime
-                    case "baasix_realtime_status":
-                        return await this.handleRealtimeStatus(args);
-                    case "baasix_realtime_config":
-                        return await this.handleRealtimeConfig(args);
-                    case "baasix_realtime_collections":
-                        return await this.handleRealtimeCollections(args);
-                    case "baasix_realtime_enable":
-                        return await this.handleRealtimeEnable(args);
-                    case "baasix_realtime_disable":
-                        return await this.handleRealtimeDisable(args);
-
-                    // Utilities
-                    case "baasix_server_info":
-                        return await this.handleServerInfo(args);
-                    case "baasix_sort_items":
-                        return await this.handleSortItems(args);
-
-                    // Auth
-                    case "baasix_register_user":
-                        return await this.handleRegisterUser(args);
-                    case "baasix_login":
-                        return await this.handleLogin(args);
-                    case "baasix_send_invite":
-                        return await this.handleSendInvite(args);
-                    case "baasix_verify_invite":
-                        return await this.handleVerifyInvite(args);
-                    case "baasix_send_magic_link":
-                        return await this.handleSendMagicLink(args);
-                    case "baasix_get_user_tenants":
-                        return await this.handleGetUserTenants(args);
-                    case "baasix_switch_tenant":
-                        return await this.handleSwitchTenant(args);
-                    case "baasix_logout":
-                        return await this.handleLogout(args);
-                    case "baasix_get_current_user":
-                        return await this.handleGetCurrentUser(args);
-
-                    default:
-                        throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
-                }
+                const filePath = resolveLocalPath(path, config.BAASIX_MCP_DATA_DIR);
+                to = { source: "file", path: filePath };
+                wanted = normalizeSchemas(JSON.parse(await fs.promises.readFile(filePath, "utf8")));
             } catch (error) {
-                if (error instanceof McpError) {
-                    throw error;
-                }
+                // Parse errors quote the file, so they are not passed on
+                let message = error.message;
+                if (error.code === "ENOENT") message = `File not found: ${path}`;
+                else if (error instanceof SyntaxError) message = "File is not valid JSON";
+                throw new McpError(ErrorCode.InvalidParams, `Cannot read schemas from ${path}: ${message}`);
+            }
+        }
 
-                console.error(`Error in tool ${name}:`, error);
+        const diff = diffSchemas(current, wanted, { collections });
+        const label = (side) => (side.source === "file" ? `file ${side.path}` : `profile "${side.profile}"`);
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: formatSchemaDiff(diff, { from: label(from), to: label(to) }),
+                },
+                {
+                    type: "text",
+                    text: JSON.stringify({ from, to, ...diff }, null, 2),
+                },
+            ],
+        };
+    }
+
+    // Item Management Methods
+    async handleListItems(args, { reportProgress } = {}) {
+        if (!args.cursor && args.deleted && args.deleted !== "exclude") {
+            await this.requireParanoid(args.collection);
+            args = {
+                ...args,
+                paranoid: false,
+                ...(args.deleted === "only" && { filter: mergeFilters(args.filter, { deletedAt: { isNull: false } }) }),
+            };
+        }
+        if (!args.cursor) {
+            await this.validateFilters(args.collection, args);
+        }
+        if (args.autoPaginate || args.cursor) {
+            return await this.handleListItemsPaginated(args, reportProgress);
+        }
+
+        const { collection, page = 1, limit = 10 } = args;
+        const items = await baasixRequest(`/items/${collection}?${buildListParams(args, page, limit)}`);
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(items, null, 2),
+                },
+            ],
+        };
+    }
+
+    // Walk pages of a list query up to the row/byte caps, or continue from a cursor
+    async handleListItemsPaginated(args, reportProgress = async () => {}) {
+        const { collection, maxRows, maxBytes } = args;
+        let state;
+
+        if (args.cursor) {
+            try {
+                state = decodeCursor(args.cursor);
+            } catch (error) {
+                throw new McpError(ErrorCode.InvalidParams, error.message);
+            }
+            if (state.collection !== collection) {
                 throw new McpError(
-                    ErrorCode.InternalError,
-                    `Tool execution failed: ${error instanceof Error ? error.message : "Unknown error"}`
+                    ErrorCode.InvalidParams,
+                    `Cursor belongs to collection "${state.collection}", not "${collection}"`
                 );
             }
-        });
-    }
+        } else {
+            if (args.aggregate || args.groupBy) {
+                throw new McpError(ErrorCode.InvalidParams, "autoPaginate cannot be combined with aggregate or groupBy");
+            }
+            if (args.limit !== undefined && args.limit < 1) {
+                throw new McpError(ErrorCode.InvalidParams, "With autoPaginate, limit is the page size and must be at least 1");
+            }
 
-    // Schema Management Methods
-    async handleListSchemas(args) {
-        const { search, page, limit, sort = "collectionName:asc" } = args;
-        const params = new URLSearchParams();
-        if (search) params.append("search", search);
-        if (page !== undefined) params.append("page", page.toString());
-        if (limit !== undefined) params.append("limit", limit.toString());
-        params.append("sort", sort);
+            const { filter, fields, search, searchFields, relConditions, paranoid } = args;
+            // Pages of an unsorted query can overlap or leave gaps, so walk them in primary key order by default
+            const sort = args.sort || `${await this.getCollectionPrimaryKey(collection)}:asc`;
+            state = {
+                collection,
+                query: { filter, sort, fields, search, searchFields, relConditions, paranoid },
+                page: args.page || 1,
+                skip: 0,
+                pageSize: args.limit || PAGINATION_DEFAULTS.pageSize,
+            };
+        }
 
-        const schemas = await baasixRequest(`/schemas?${params}`);
+        const fetchPage = (page, pageSize) =>
+            baasixRequest(`/items/${collection}?${buildListParams(state.query, page, pageSize)}`);
+
+        // Stop before the response size guard would cut rows, or nextCursor would skip past them.
+        // Rows are measured as they are rendered: pretty-printed JSON, indented inside "data"
+        const responseBytes = getMaxResponseBytes();
+        const byteCap = maxBytes || PAGINATION_DEFAULTS.maxBytes;
+        const envelopeBytes = Buffer.byteLength(encodeCursor(state)) + 256;
+        const rowBytes = (row) => {
+            const text = JSON.stringify(row, null, 2);
+            return Buffer.byteLength(text) + 4 * text.split("\n").length + 2;
+        };
+
+        const result = await paginate(fetchPage, {
+            page: state.page,
+            skip: state.skip,
+            pageSize: state.pageSize,
+            maxRows: maxRows || PAGINATION_DEFAULTS.maxRows,
+            maxBytes: responseBytes ? Math.min(byteCap, Math.max(1, responseBytes - envelopeBytes)) : byteCap,
+            rowBytes,
+            onProgress: (rows, totalCount) => reportProgress(rows, totalCount, `Fetched ${rows} rows from ${collection}`),
+        });
+
+        const response = {
+            data: result.data,
+            totalCount: result.totalCount,
+            returned: result.data.length,
+            pagesFetched: result.pagesFetched,
+            complete: result.complete,
+            ...(result.next && { nextCursor: encodeCursor({ ...state, ...result.next }) }),
+        };
         return {
             content: [
                 {
                     type: "text",
-                    text: JSON.stringify(schemas, null, 2),
+                    text: JSON.stringify(response, null, 2),
                 },
             ],
         };
     }
 
-    async handleGetSchema(args) {
-        const { collection } = args;
-        const schema = await baasixRequest(`/schemas/${collection}`);
+    async handleGetItem(args) {
+        const { collection, id, fields, deleted = "exclude" } = args;
+        const params = new URLSearchParams();
+        if (fields) {
+            // deletedAt is needed to tell whether the item is deleted
+            const withDeletedAt =
+                deleted === "only" && !fields.includes("*") && !fields.includes("deletedAt") ? [...fields, "deletedAt"] : fields;
+            params.append("fields", JSON.stringify(withDeletedAt));
+        }
+        if (deleted !== "exclude") {
+            await this.requireParanoid(collection);
+            params.append("paranoid", "false");
+        }
+
+        const queryString = params.toString() ? `?${params}` : "";
+        const item = await baasixRequest(`/items/${collection}/${id}${queryString}`);
+        if (deleted === "only" && item?.data && item.data.deletedAt == null) {
+            throw new McpError(ErrorCode.InvalidRequest, `Item ${id} in "${collection}" is not deleted`);
+        }
         return {
             content: [
                 {
                     type: "text",
-                    text: JSON.stringify(schema, null, 2),
+                    text: JSON.stringify(item, null, 2),
                 },
             ],
         };
     }
 
-    async handleCreateSchema(args) {
-        const { collection, schema } = args;
-        const result = await baasixRequest(`/schemas`, {
+    async handleCreateItem(args) {
+        const { collection, data } = args;
+        const result = await baasixRequest(`/items/${collection}`, {
             method: "POST",
-            data: { collectionName: collection, schema },
+            data,
         });
         return {
             content: [
@@ -1707,11 +3114,47 @@ The realtime config is stored in the schema definition and can include specific
         };
     }
 
-    async handleUpdateSchema(args) {
-        const { collection, schema } = args;
-        const result = await baasixRequest(`/schemas/${collection}`, {
-            method: "PATCH",
-            data: { schema },
+    async handleUpdateItem(args) {
+        const { collection, id, data, mode = "merge", expectedUpdatedAt, expectedVersion, versionField = "version" } = args;
+        const method = UPDATE_METHODS[mode];
+        let payload = data;
+
+        // Optimistic concurrency: compare the stored item with what the caller read
+        if (expectedUpdatedAt !== undefined || expectedVersion !== undefined) {
+            const current = (await baasixRequest(`/items/${collection}/${id}`))?.data;
+            const conflicts = [];
+
+            if (expectedUpdatedAt !== undefined && !isSameTimestamp(current?.updatedAt, expectedUpdatedAt)) {
+                conflicts.push(`updatedAt is ${current?.updatedAt ?? "not set"}, expected ${expectedUpdatedAt}`);
+            }
+            if (expectedVersion !== undefined && current?.[versionField] !== expectedVersion) {
+                conflicts.push(`${versionField} is ${current?.[versionField] ?? "not set"}, expected ${expectedVersion}`);
+            }
+
+            if (conflicts.length > 0) {
+                throw new BaasixApiError(
+                    `Baasix API Error: Update conflict, ${collection}/${id} has changed since it was read (${conflicts.join(
+                        "; "
+                    )}). Re-read the item and apply the change again`,
+                    {
+                        status: 409,
+                        code: "UPDATE_CONFLICT",
+                        method,
+                        endpoint: `/items/${collection}/${id}`,
+                        profile: getProfile().name,
+                        details: { current },
+                    }
+                );
+            }
+
+            if (expectedVersion !== undefined && data[versionField] === undefined) {
+                payload = { ...data, [versionField]: expectedVersion + 1 };
+            }
+        }
+
+        const result = await baasixRequest(`/items/${collection}/${id}`, {
+            method,
+            data: payload,
         });
         return {
             content: [
@@ -1723,9 +3166,9 @@ The realtime config is stored in the schema definition and can include specific
         };
     }
 
-    async handleDeleteSchema(args) {
-        const { collection } = args;
-        const result = await baasixRequest(`/schemas/${collection}`, {
+    async handleDeleteItem(args) {
+        const { collection, id } = args;
+        const result = await baasixRequest(`/items/${collection}/${id}`, {
             method: "DELETE",
         });
         return {
@@ -1738,212 +3181,526 @@ The realtime config is stored in the schema definition and can include specific
         };
     }
 
-    async handleAddIndex(args) {
-        const { collection, indexDefinition } = args;
-        const result = await baasixRequest(`/schemas/${collection}/indexes`, {
-            method: "POST",
-            data: indexDefinition,
+    async handleRestoreItem(args) {
+        const { collection, id } = args;
+        await this.requireParanoid(collection);
+
+        const current = (await baasixRequest(`/items/${collection}/${id}?paranoid=false`))?.data;
+        if (current?.deletedAt == null) {
+            throw new McpError(ErrorCode.InvalidRequest, `Item ${id} in "${collection}" is not deleted`);
+        }
+
+        await baasixRequest(`/items/${collection}/${id}?paranoid=false`, {
+            method: UPDATE_METHODS.merge,
+            data: { deletedAt: null },
         });
         return {
             content: [
                 {
                     type: "text",
-                    text: JSON.stringify(result, null, 2),
+                    text: JSON.stringify({ collection, id, restored: true, deletedAt: current.deletedAt }, null, 2),
+                },
+            ],
+        };
+    }
+
+    async handlePurgeItem(args) {
+        const { collection, id, allowActive = false } = args;
+        await this.requireParanoid(collection);
+
+        const current = (await baasixRequest(`/items/${collection}/${id}?paranoid=false`))?.data;
+        if (!allowActive && current?.deletedAt == null) {
+            throw new McpError(
+                ErrorCode.InvalidRequest,
+                `Item ${id} in "${collection}" is not deleted; delete it first or pass allowActive: true to purge it`
+            );
+        }
+
+        await baasixRequest(`/items/${collection}/${id}?force=true`, { method: "DELETE" });
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify({ collection, id, purged: true, deletedAt: current?.deletedAt ?? null }, null, 2),
+                },
+            ],
+        };
+    }
+
+    // Refuse soft-delete operations on collections that delete rows permanently
+    async requireParanoid(collection) {
+        const schema = await this.getCollectionSchema(collection);
+        if (!schema.paranoid) {
+            throw new McpError(
+                ErrorCode.InvalidParams,
+                `Collection "${collection}" does not use soft deletes (paranoid: true); its rows are deleted permanently`
+            );
+        }
+    }
+
+    // Resolve a bulk selection (ID list or filter) to item IDs
+    async resolveBulkSelection(collection, { ids, filter }) {
+        if ((ids && filter) || (!ids && !filter)) {
+            throw new McpError(ErrorCode.InvalidParams, "Provide either ids or filter to select items");
+        }
+
+        if (ids) {
+            if (ids.length > BULK_LIMITS.maxItems) {
+                throw new McpError(ErrorCode.InvalidParams, `At most ${BULK_LIMITS.maxItems} items can be processed per call`);
+            }
+            return ids;
+        }
+
+        await this.validateFilters(collection, { filter });
+        const primaryKey = await this.getCollectionPrimaryKey(collection);
+
+        const matched = [];
+        const pageSize = 1000;
+        for (let page = 1; ; page++) {
+            const params = new URLSearchParams();
+            params.append("filter", JSON.stringify(filter));
+            params.append("fields", JSON.stringify([primaryKey]));
+            params.append("sort", `${primaryKey}:asc`);
+            params.append("page", page.toString());
+            params.append("limit", pageSize.toString());
+
+            const result = await baasixRequest(`/items/${collection}?${params}`);
+            const rows = result?.data || [];
+            matched.push(...rows.map((row) => String(row[primaryKey])));
+
+            if (matched.length > BULK_LIMITS.maxItems) {
+                throw new McpError(
+                    ErrorCode.InvalidParams,
+                    `Filter matches more than ${BULK_LIMITS.maxItems} items; narrow it down and run several calls`
+                );
+            }
+            if (rows.length < pageSize) break;
+        }
+        return matched;
+    }
+
+    async handleExportItems(args, { reportProgress = async () => {} } = {}) {
+        const { collection, path, pageSize = 500, overwrite } = args;
+        const format = args.format || formatFromPath(path) || "ndjson";
+        if (pageSize < 1) {
+            throw new McpError(ErrorCode.InvalidParams, "pageSize must be at least 1");
+        }
+
+        let filePath;
+        try {
+            filePath = resolveLocalPath(path, config.BAASIX_MCP_DATA_DIR);
+        } catch (error) {
+            throw new McpError(ErrorCode.InvalidParams, error.message);
+        }
+        if (!overwrite && fs.existsSync(filePath)) {
+            throw new McpError(ErrorCode.InvalidParams, `File ${filePath} already exists; pass overwrite: true to replace it`);
+        }
+
+        await this.validateFilters(collection, args);
+
+        const query = { ...args, sort: args.sort || `${await this.getCollectionPrimaryKey(collection)}:asc` };
+        const summary = await exportToFile(
+            (page) => baasixRequest(`/items/${collection}?${buildListParams(query, page, pageSize)}`),
+            {
+                filePath,
+                format,
+                pageSize,
+                onProgress: (rows, totalCount) => reportProgress(rows, totalCount, `Exported ${rows} rows from ${collection}`),
+            }
+        );
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify({ collection, ...summary }, null, 2),
                 },
             ],
         };
     }
 
-    async handleRemoveIndex(args) {
-        const { collection, indexName } = args;
-        const result = await baasixRequest(`/schemas/${collection}/indexes/${indexName}`, {
-            method: "DELETE",
+    // Schema definition of a collection (cached)
+    async getCollectionSchema(collection) {
+        return schemaCache.get(`${getProfile().name}:${collection}`, async () => {
+            const result = await baasixRequest(`/schemas/${collection}`);
+            return result?.data?.schema || {};
         });
-        return {
-            content: [
-                {
-                    type: "text",
-                    text: JSON.stringify(result, null, 2),
-                },
-            ],
-        };
     }
 
-    async handleCreateRelationship(args) {
-        const { sourceCollection, relationshipData } = args;
-        const result = await baasixRequest(`/schemas/${sourceCollection}/relationships`, {
-            method: "POST",
-            data: relationshipData,
-        });
+    // Field definitions of a collection, from its (cached) schema
+    async getCollectionFields(collection) {
+        return (await this.getCollectionSchema(collection)).fields || {};
+    }
+
+    // Primary key field of a collection; "id" when the schema cannot be read (e.g. no schema access)
+    async getCollectionPrimaryKey(collection) {
+        try {
+            return getPrimaryKey(await this.getCollectionFields(collection));
+        } catch (error) {
+            if (error instanceof BaasixApiError) return "id";
+            throw error;
+        }
+    }
+
+    // Check filter and relConditions against the collection schema (BAASIX_MCP_VALIDATE_FILTERS)
+    async validateFilters(collection, query) {
+        if (String(config.BAASIX_MCP_VALIDATE_FILTERS).toLowerCase() === "false") return;
+        await this.filterValidator(collection, query);
+    }
+
+    async handleImportItems(args, { reportProgress = async () => {} } = {}) {
+        const {
+            collection,
+            path,
+            mapping,
+            dryRun = false,
+            ignoreUnknownColumns = false,
+            skipInvalidRows = false,
+            maxIssues = 50,
+            chunkSize,
+            concurrency,
+            stopOnError,
+        } = args;
+        const format = args.format || formatFromPath(path);
+        if (!IMPORT_FORMATS.includes(format)) {
+            throw new McpError(ErrorCode.InvalidParams, `Cannot tell the format of ${path}; pass format: ${IMPORT_FORMATS.join(", ")}`);
+        }
+
+        let filePath;
+        let records;
+        try {
+            filePath = resolveLocalPath(path, config.BAASIX_MCP_DATA_DIR);
+            records = await readImportFile(filePath, format);
+        } catch (error) {
+            throw new McpError(ErrorCode.InvalidParams, error.code === "ENOENT" ? `File not found: ${path}` : error.message);
+        }
+
+        const fields = await this.getCollectionFields(collection);
+        const { rows, unknownColumns } = prepareImportRows(records, fields, { mapping, ignoreUnknownColumns });
+        const invalidRows = rows.filter((row) => row.errors.length > 0);
+        const validRows = rows.filter((row) => row.errors.length === 0);
+
+        const report = {
+            collection,
+            path: filePath,
+            format,
+            dryRun,
+            rows: rows.length,
+            valid: validRows.length,
+            invalid: invalidRows.length,
+            unknownColumns,
+            issues: invalidRows.slice(0, maxIssues).map(({ row, errors }) => ({ row, errors })),
+            ...(invalidRows.length > maxIssues && { issuesTruncated: true }),
+        };
+
+        if (dryRun) {
+            report.sample = validRows.slice(0, 3).map((row) => row.data);
+        } else if (invalidRows.length > 0 && !skipInvalidRows) {
+            report.imported = 0;
+            report.message = `Nothing was written: ${invalidRows.length} row(s) have errors. Fix them, or pass skipInvalidRows: true to import the ${validRows.length} valid row(s)`;
+        } else {
+            const result = await runBulk(
+                validRows,
+                ({ data }) => baasixRequest(`/items/${collection}`, { method: "POST", data }),
+                {
+                    chunkSize,
+                    concurrency,
+                    stopOnError,
+                    onProgress: (done, total) => reportProgress(done, total, `Imported ${done} of ${total} rows into ${collection}`),
+                }
+            );
+            const failures = result.results.filter((item) => item.status === "error");
+            report.imported = result.succeeded;
+            report.failed = result.failed;
+            report.skipped = result.skipped;
+            report.failures = failures
+                .slice(0, maxIssues)
+                .map((item) => ({ row: validRows[item.index].row, error: item.error }));
+            if (failures.length > maxIssues) report.failuresTruncated = true;
+        }
+
         return {
             content: [
                 {
                     type: "text",
-                    text: JSON.stringify(result, null, 2),
+                    text: JSON.stringify(report, null, 2),
                 },
             ],
         };
     }
 
-    async handleUpdateRelationship(args) {
-        const { sourceCollection, fieldName, updateData } = args;
-        const result = await baasixRequest(`/schemas/${sourceCollection}/relationships/${fieldName}`, {
-            method: "PATCH",
-            data: updateData,
-        });
+    async handleBulkCreateItems(args) {
+        const { collection, items, chunkSize, concurrency, stopOnError } = args;
+        if (items.length > BULK_LIMITS.maxItems) {
+            throw new McpError(ErrorCode.InvalidParams, `At most ${BULK_LIMITS.maxItems} items can be created per call`);
+        }
+
+        const primaryKey = await this.getCollectionPrimaryKey(collection);
+        const report = await runBulk(
+            items,
+            (data) => baasixRequest(`/items/${collection}`, { method: "POST", data }),
+            { chunkSize, concurrency, stopOnError, primaryKey }
+        );
         return {
             content: [
                 {
                     type: "text",
-                    text: JSON.stringify(result, null, 2),
+                    text: JSON.stringify({ collection, operation: "create", ...report }, null, 2),
                 },
             ],
         };
     }
 
-    async handleDeleteRelationship(args) {
-        const { sourceCollection, fieldName } = args;
-        const result = await baasixRequest(`/schemas/${sourceCollection}/relationships/${fieldName}`, {
-            method: "DELETE",
-        });
+    async handleBulkUpdateItems(args) {
+        const { collection, data, chunkSize, concurrency, stopOnError } = args;
+        const ids = await this.resolveBulkSelection(collection, args);
+
+        const report = await runBulk(
+            ids.map((id) => ({ id })),
+            ({ id }) => baasixRequest(`/items/${collection}/${id}`, { method: UPDATE_METHODS.merge, data }),
+            { chunkSize, concurrency, stopOnError }
+        );
         return {
             content: [
                 {
                     type: "text",
-                    text: JSON.stringify(result, null, 2),
+                    text: JSON.stringify({ collection, operation: "update", ...report }, null, 2),
                 },
             ],
         };
     }
 
-    async handleExportSchemas(args) {
-        const result = await baasixRequest("/schemas-export");
+    async handleBulkDeleteItems(args) {
+        const { collection, confirm, chunkSize, concurrency, stopOnError } = args;
+        const ids = await this.resolveBulkSelection(collection, args);
+
+        if (confirm !== ids.length) {
+            throw new McpError(
+                ErrorCode.InvalidParams,
+                `Refusing to delete: the selection matches ${ids.length} item(s) but confirm is ${confirm}. ` +
+                    `Check the selection and pass confirm: ${ids.length} to proceed.`,
+                { matched: ids.length }
+            );
+        }
+
+        const report = await runBulk(
+            ids.map((id) => ({ id })),
+            ({ id }) => baasixRequest(`/items/${collection}/${id}`, { method: "DELETE" }),
+            { chunkSize, concurrency, stopOnError }
+        );
         return {
             content: [
                 {
                     type: "text",
-                    text: JSON.stringify(result, null, 2),
+                    text: JSON.stringify({ collection, operation: "delete", ...report }, null, 2),
                 },
             ],
         };
     }
 
-    async handleImportSchemas(args) {
-        const { schemas } = args;
-        // Note: This is a simplified version. The actual API uses file upload.
-        // For MCP, we'll accept JSON data directly.
-        const result = await baasixRequest("/schemas-import", {
-            method: "POST",
-            data: schemas,
+    async handleUpsertItems(args) {
+        const { collection, items, keys, chunkSize, concurrency, stopOnError } = args;
+        if (keys.length === 0) {
+            throw new McpError(ErrorCode.InvalidParams, "keys must name at least one field");
+        }
+        if (items.length > BULK_LIMITS.maxItems) {
+            throw new McpError(ErrorCode.InvalidParams, `At most ${BULK_LIMITS.maxItems} items can be upserted per call`);
+        }
+
+        const primaryKey = await this.getCollectionPrimaryKey(collection);
+        const hasKey = (record) => keys.every((key) => record[key] !== undefined && record[key] !== null);
+        const keyOf = (record) => JSON.stringify(keys.map((key) => String(record[key])));
+
+        // A key that appears more than once in the input would race with itself
+        const firstIndex = new Map();
+        const entries = items.map((record, index) => {
+            const key = hasKey(record) ? keyOf(record) : null;
+            const duplicateOf = key !== null && firstIndex.has(key) ? firstIndex.get(key) : null;
+            if (key !== null && duplicateOf === null) firstIndex.set(key, index);
+            return { ...(record[primaryKey] != null && { id: record[primaryKey] }), record, key, duplicateOf };
         });
-        return {
-            content: [
-                {
-                    type: "text",
-                    text: JSON.stringify(result, null, 2),
-                },
-            ],
+
+        // One lookup per chunk: key -> matching rows
+        const findExisting = async (batch) => {
+            const records = batch.filter((entry) => entry.key !== null).map((entry) => entry.record);
+            const existing = new Map();
+            if (records.length === 0) return existing;
+
+            const filter =
+                keys.length === 1
+                    ? { [keys[0]]: { in: records.map((record) => record[keys[0]]) } }
+                    : { OR: records.map((record) => ({ AND: keys.map((key) => ({ [key]: { eq: record[key] } })) })) };
+
+            const params = new URLSearchParams();
+            params.append("filter", JSON.stringify(filter));
+            params.append("fields", JSON.stringify([...new Set([primaryKey, ...keys])]));
+            params.append("limit", "-1");
+
+            const result = await baasixRequest(`/items/${collection}?${params}`);
+            for (const row of result?.data || []) {
+                const key = keyOf(row);
+                existing.set(key, [...(existing.get(key) || []), row]);
+            }
+            return existing;
         };
-    }
 
-    // Item Management Methods
-    async handleListItems(args) {
-        const {
-            collection,
-            filter,
-            sort,
-            page = 1,
-            limit = 10,
-            fields,
-            search,
-            searchFields,
-            aggregate,
-            groupBy,
-            relConditions,
-        } = args;
+        const upsert = async ({ record, key, duplicateOf }, existing) => {
+            if (key === null) {
+                throw new Error(`Record is missing key field(s): ${keys.filter((field) => record[field] == null).join(", ")}`);
+            }
+            if (duplicateOf !== null) {
+                throw new BulkConflictError(`Key also appears at index ${duplicateOf} of the input`);
+            }
 
-        const params = new URLSearchParams();
-        if (filter) params.append("filter", JSON.stringify(filter));
-        if (sort) params.append("sort", sort);
-        params.append("page", page.toString());
-        params.append("limit", limit.toString());
-        if (fields) params.append("fields", JSON.stringify(fields));
-        if (search) params.append("search", search);
-        if (searchFields) params.append("searchFields", JSON.stringify(searchFields));
-        if (aggregate) params.append("aggregate", JSON.stringify(aggregate));
-        if (groupBy) params.append("groupBy", JSON.stringify(groupBy));
-        if (relConditions) params.append("relConditions", JSON.stringify(relConditions));
+            const matches = existing.get(key) || [];
+            if (matches.length > 1) {
+                throw new BulkConflictError(`Key matches ${matches.length} existing rows`, {
+                    ids: matches.map((row) => row[primaryKey]),
+                });
+            }
+
+            if (matches.length === 1) {
+                const id = matches[0][primaryKey];
+                await baasixRequest(`/items/${collection}/${id}`, { method: UPDATE_METHODS.merge, data: record });
+                return { action: "updated", id };
+            }
 
-        const items = await baasixRequest(`/items/${collection}?${params}`);
+            const result = await baasixRequest(`/items/${collection}`, { method: "POST", data: record });
+            return { action: "created", id: result?.data?.[primaryKey] ?? result?.[primaryKey] };
+        };
+
+        const report = await runBulk(entries, upsert, { chunkSize, concurrency, stopOnError, prepareChunk: findExisting });
+        const actions = report.results.filter((result) => result.action);
         return {
             content: [
                 {
                     type: "text",
-                    text: JSON.stringify(items, null, 2),
+                    text: JSON.stringify(
+                        {
+                            collection,
+                            operation: "upsert",
+                            keys,
+                            created: actions.filter((result) => result.action === "created").length,
+                            updated: actions.filter((result) => result.action === "updated").length,
+                            ...report,
+                        },
+                        null,
+                        2
+                    ),
                 },
             ],
         };
     }
 
-    async handleGetItem(args) {
-        const { collection, id, fields } = args;
-        const params = new URLSearchParams();
-        if (fields) params.append("fields", JSON.stringify(fields));
+    // Undo a write for real when rolling back: a plain delete only soft-deletes rows of paranoid collections
+    async deleteCreatedItem(collection, id) {
+        const { paranoid } = await this.getCollectionSchema(collection);
+        return baasixRequest(`/items/${collection}/${id}${paranoid ? "?force=true" : ""}`, { method: "DELETE" });
+    }
 
-        const queryString = params.toString() ? `?${params}` : "";
-        const item = await baasixRequest(`/items/${collection}/${id}${queryString}`);
+    async handleCloneItem(args) {
+        const { collection, id, relations, overrides } = args;
+        const report = await cloneItem(
+            {
+                getFields: (target) => this.getCollectionFields(target),
+                getItem: async (target, itemId) => (await baasixRequest(`/items/${target}/${itemId}`))?.data,
+                listItems: async (target, filter) => {
+                    const params = new URLSearchParams();
+                    params.append("filter", JSON.stringify(filter));
+                    params.append("sort", `${await this.getCollectionPrimaryKey(target)}:asc`);
+                    params.append("limit", "-1");
+                    return (await baasixRequest(`/items/${target}?${params}`))?.data || [];
+                },
+                createItem: async (target, data) => {
+                    const primaryKey = await this.getCollectionPrimaryKey(target);
+                    const result = await baasixRequest(`/items/${target}`, { method: "POST", data });
+                    return result?.data?.[primaryKey] ?? result?.[primaryKey];
+                },
+                deleteItem: (target, itemId) => this.deleteCreatedItem(target, itemId),
+            },
+            { collection, id, relations, overrides, maxItems: BULK_LIMITS.maxItems }
+        );
         return {
+            ...(!report.complete && { isError: true }),
             content: [
                 {
                     type: "text",
-                    text: JSON.stringify(item, null, 2),
+                    text: JSON.stringify(report, null, 2),
                 },
             ],
         };
     }
 
-    async handleCreateItem(args) {
+    async handleCreateNestedItem(args) {
         const { collection, data } = args;
-        const result = await baasixRequest(`/items/${collection}`, {
-            method: "POST",
-            data,
-        });
-        return {
-            content: [
-                {
-                    type: "text",
-                    text: JSON.stringify(result, null, 2),
+        const report = await createNested(
+            {
+                getFields: (target) => this.getCollectionFields(target),
+                createItem: async (target, values) => {
+                    const result = await baasixRequest(`/items/${target}`, { method: "POST", data: values });
+                    return result?.data?.id ?? result?.id;
                 },
-            ],
-        };
-    }
-
-    async handleUpdateItem(args) {
-        const { collection, id, data } = args;
-        const result = await baasixRequest(`/items/${collection}/${id}`, {
-            method: "PUT",
-            data,
-        });
+                deleteItem: (target, id) => this.deleteCreatedItem(target, id),
+            },
+            { collection, data, maxItems: BULK_LIMITS.maxItems }
+        );
         return {
+            ...(!report.complete && { isError: true }),
             content: [
                 {
                     type: "text",
-                    text: JSON.stringify(result, null, 2),
+                    text: JSON.stringify(report, null, 2),
                 },
             ],
         };
     }
 
-    async handleDeleteItem(args) {
-        const { collection, id } = args;
-        const result = await baasixRequest(`/items/${collection}/${id}`, {
-            method: "DELETE",
-        });
+    async handleSeedCollection(args, { reportProgress = async () => {} } = {}) {
+        const { collection, count = 10, overrides = {}, dryRun = false, chunkSize, concurrency, stopOnError } = args;
+        if (count < 1 || count > SEED_LIMITS.maxCount) {
+            throw new McpError(ErrorCode.InvalidParams, `count must be between 1 and ${SEED_LIMITS.maxCount}`);
+        }
+        const seed = args.seed ?? Math.floor(Math.random() * 2 ** 31);
+
+        const fields = await this.getCollectionFields(collection);
+        if (Object.keys(fields).length === 0) {
+            throw new McpError(ErrorCode.InvalidParams, `Schema of collection "${collection}" has no fields to seed`);
+        }
+
+        // Existing target IDs for every M2O foreign key, in a stable order so the seed picks the same ones
+        const references = {};
+        const relations = [];
+        for (const { field, target } of getReferenceFields(fields)) {
+            if (field in overrides) continue;
+            const primaryKey = getPrimaryKey(await this.getCollectionFields(target));
+            const query = { fields: [primaryKey], sort: `${primaryKey}:asc` };
+            const result = await baasixRequest(`/items/${target}?${buildListParams(query, 1, SEED_LIMITS.maxReferenceIds)}`);
+            references[field] = (result?.data || []).map((row) => row[primaryKey]);
+            relations.push({ field, target, availableIds: references[field].length });
+        }
+
+        const { records, warnings } = generateRecords(fields, { count, seed, references, overrides });
+        const report = { collection, seed, count, dryRun, relations, warnings };
+
+        if (dryRun) {
+            report.records = records;
+        } else {
+            Object.assign(
+                report,
+                await runBulk(records, (data) => baasixRequest(`/items/${collection}`, { method: "POST", data }), {
+                    chunkSize,
+                    concurrency,
+                    stopOnError,
+                    primaryKey: getPrimaryKey(fields),
+                    onProgress: (done, total) => reportProgress(done, total, `Seeded ${done} of ${total} records into ${collection}`),
+                })
+            );
+        }
+
         return {
             content: [
                 {
                     type: "text",
-                    text: JSON.stringify(result, null, 2),
+                    text: JSON.stringify(report, null, 2),
                 },
             ],
         };
@@ -1998,15 +3755,19 @@ The realtime config is stored in the schema definition and can include specific
 
     // Authentication Methods
     async handleAuthStatus(args) {
+        const profile = getProfile();
         try {
-            const token = await getAuthToken();
+            const token = await getAuthToken(profile);
             const status = {
-                auth_method: BAASIX_AUTH_TOKEN ? "Manual Token" : BAASIX_EMAIL ? "Auto-login" : "None",
-                configured_user: BAASIX_EMAIL || "Not configured",
-                manual_token_provided: !!BAASIX_AUTH_TOKEN,
+                profile: profile.name,
+                active_identity: describeIdentity(profile),
+                auth_method: profile.staticToken ? "Manual Token" : profile.email ? "Auto-login" : "None",
+                configured_user: profile.email || "Not configured",
+                manual_token_provided: !!profile.staticToken,
                 authenticated: !!token,
-                auto_login_expires: authExpiry ? new Date(authExpiry).toISOString() : "N/A",
-                auto_login_valid: !!(authToken && authExpiry && Date.now() < authExpiry),
+                auto_login_expires: profile.authExpiry ? new Date(profile.authExpiry).toISOString() : "N/A",
+                auto_login_valid: !!(profile.authToken && profile.authExpiry && Date.now() < profile.authExpiry),
+                refresh_token_available: !!profile.refreshToken,
             };
 
             return {
@@ -2025,9 +3786,10 @@ The realtime config is stored in the schema definition and can include specific
                         text: JSON.stringify(
                             {
                                 error: error.message,
+                                profile: profile.name,
                                 auth_method: "None",
-                                manual_token_provided: !!BAASIX_AUTH_TOKEN,
-                                configured_user: BAASIX_EMAIL || "Not configured",
+                                manual_token_provided: !!profile.staticToken,
+                                configured_user: profile.email || "Not configured",
                             },
                             null,
                             2
@@ -2039,7 +3801,18 @@ The realtime config is stored in the schema definition and can include specific
     }
 
     async handleRefreshAuth(args) {
-        if (BAASIX_AUTH_TOKEN) {
+        const profile = getProfile();
+        // Tool calls keep using the adopted session, so renewing the configured identity would have no effect
+        const session = getSession(profile);
+        if (session) {
+            throw new McpError(
+                ErrorCode.InvalidRequest,
+                `A session from ${session.source} is active for profile "${profile.name}" and cannot be refreshed; ` +
+                    "call baasix_login again for a new session, or baasix_logout to revert to the configured identity"
+            );
+        }
+
+        if (profile.staticToken) {
             return {
                 content: [
                     {
@@ -2047,6 +3820,7 @@ The realtime config is stored in the schema definition and can include specific
                         text: JSON.stringify(
                             {
                                 message: "Using manual token (BAASIX_AUTH_TOKEN), no refresh needed",
+                                profile: profile.name,
                                 auth_method: "Manual Token",
                             },
                             null,
@@ -2058,16 +3832,16 @@ The realtime config is stored in the schema definition and can include specific
         }
 
         // Clear current auto-login token to force refresh
-        authToken = null;
-        authExpiry = null;
+        clearAuthToken(profile);
 
         try {
-            const token = await getAuthToken();
+            const token = await getAuthToken(profile);
             const result = {
                 success: !!token,
-                user: BAASIX_EMAIL || "Not configured",
+                profile: profile.name,
+                user: profile.email || "Not configured",
                 token_received: !!token,
-                expires: authExpiry ? new Date(authExpiry).toISOString() : "Unknown",
+                expires: profile.authExpiry ? new Date(profile.authExpiry).toISOString() : "Unknown",
                 auth_method: "Auto-login",
             };
 
@@ -2088,7 +3862,8 @@ The realtime config is stored in the schema definition and can include specific
                             {
                                 success: false,
                                 error: error.message,
-                                user: BAASIX_EMAIL || "Not configured",
+                                profile: profile.name,
+                                user: profile.email || "Not configured",
                             },
                             null,
                             2
@@ -2488,7 +4263,8 @@ The realtime config is stored in the schema definition and can include specific
                                     uptime: process.uptime(),
                                     memory: process.memoryUsage(),
                                     nodejs: process.version,
-                                    baasix_url: BAASIX_URL,
+                                    profile: getProfile().name,
+                                    baasix_url: getProfile().url,
                                 },
                             },
                             null,
@@ -2512,7 +4288,8 @@ The realtime config is stored in the schema definition and can include specific
                                     uptime: process.uptime(),
                                     memory: process.memoryUsage(),
                                     nodejs: process.version,
-                                    baasix_url: BAASIX_URL,
+                                    profile: getProfile().name,
+                                    baasix_url: getProfile().url,
                                 },
                             },
                             null,
@@ -2524,6 +4301,144 @@ The realtime config is stored in the schema definition and can include specific
         }
     }
 
+    async handleListProfiles(args) {
+        const profiles = getProfileNames().map((name) => {
+            const profile = getProfile(name);
+            return {
+                name,
+                url: profile.url,
+                default: name === getDefaultProfileName(),
+                auth_method: profile.staticToken ? "Manual Token" : profile.email ? "Auto-login" : "None",
+                configured_user: profile.email || "Not configured",
+                authenticated: !!(profile.staticToken || (profile.authToken && Date.now() < profile.authExpiry)),
+                circuit: getCircuitState(profile),
+            };
+        });
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify({ profiles }, null, 2),
+                },
+            ],
+        };
+    }
+
+    async handleAuditLog(args) {
+        if (!auditLog) {
+            throw new McpError(
+                ErrorCode.InvalidRequest,
+                "Audit log is not enabled. Set BAASIX_MCP_AUDIT_LOG to a file path to record tool calls."
+            );
+        }
+
+        let entries;
+        try {
+            entries = await auditLog.query(args);
+        } catch (error) {
+            throw new McpError(ErrorCode.InvalidParams, error.message);
+        }
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify({ file: auditLog.filePath, count: entries.length, entries }, null, 2),
+                },
+            ],
+        };
+    }
+
+    async handleGetOverflow(args) {
+        const { handle, offset = 0, path, overwrite } = args;
+        const entry = overflowStore.get(handle);
+        if (!entry) {
+            throw new McpError(ErrorCode.InvalidParams, `Unknown or expired handle "${handle}"; run the original tool again`);
+        }
+        if (offset < 0) {
+            throw new McpError(ErrorCode.InvalidParams, "offset must be at least 0");
+        }
+
+        if (path) {
+            if (!toolPolicy.allowsAccess("write")) {
+                throw new McpError(
+                    ErrorCode.InvalidRequest,
+                    `Writing overflow to a file is disabled: write tools are not allowed in ${toolPolicy.mode} mode`
+                );
+            }
+
+            let filePath;
+            try {
+                filePath = resolveLocalPath(path, config.BAASIX_MCP_DATA_DIR);
+            } catch (error) {
+                throw new McpError(ErrorCode.InvalidParams, error.message);
+            }
+            if (!overwrite && fs.existsSync(filePath)) {
+                throw new McpError(ErrorCode.InvalidParams, `File ${filePath} already exists; pass overwrite: true to replace it`);
+            }
+
+            let summary;
+            if (entry.rows) {
+                const format = args.fileFormat || formatFromPath(path) || "ndjson";
+                const pageSize = 1000;
+                summary = await exportToFile(
+                    (page) => ({
+                        data: entry.rows.slice((page - 1) * pageSize, page * pageSize),
+                        totalCount: entry.rows.length,
+                    }),
+                    { filePath, format, pageSize }
+                );
+            } else {
+                await fs.promises.mkdir(dirname(filePath), { recursive: true });
+                await fs.promises.writeFile(filePath, entry.text);
+                summary = { path: filePath, format: "text", bytes: Buffer.byteLength(entry.text, "utf8") };
+            }
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: JSON.stringify({ handle, tool: entry.tool, ...summary }, null, 2),
+                    },
+                ],
+            };
+        }
+
+        let result;
+        if (entry.rows) {
+            const limit = args.limit ?? 100;
+            const data = entry.rows.slice(offset, offset + limit);
+            const nextOffset = offset + data.length;
+            result = {
+                tool: entry.tool,
+                data,
+                ...entry.meta,
+                offset,
+                returned: data.length,
+                records: entry.rows.length,
+                ...(nextOffset < entry.rows.length && { nextOffset }),
+            };
+        } else {
+            const limit = args.limit ?? 50000;
+            const text = entry.text.slice(offset, offset + limit);
+            const nextOffset = offset + text.length;
+            result = {
+                tool: entry.tool,
+                text,
+                offset,
+                characters: entry.text.length,
+                ...(nextOffset < entry.text.length && { nextOffset }),
+            };
+        }
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(result, null, 2),
+                },
+            ],
+        };
+    }
+
     async handleSortItems(args) {
         const { collection, item, to } = args;
         const result = await baasixRequest(`/utils/sort/${collection}`, {
@@ -2558,16 +4473,32 @@ The realtime config is stored in the schema definition and can include specific
     }
 
     async handleLogin(args) {
-        const { email, password, tenant_Id, authMode } = args;
+        const { email, password, tenant_Id, authMode, activate = true } = args;
         const result = await baasixRequest("/auth/login", {
             method: "POST",
             data: { email, password, tenant_Id, authMode },
         });
+
+        const token = extractToken(result);
+        const profile = getProfile();
+        if (activate && token) {
+            setSession(profile, {
+                token,
+                user: result.user?.email || email,
+                tenant: extractTenant(result) || tenant_Id || null,
+                source: "baasix_login",
+            });
+        }
+
         return {
             content: [
                 {
                     type: "text",
-                    text: JSON.stringify(result, null, 2),
+                    text: JSON.stringify(
+                        { ...result, active_identity: describeIdentity(profile), session_adopted: !!(activate && token) },
+                        null,
+                        2
+                    ),
                 },
             ],
         };
@@ -2634,28 +4565,69 @@ The realtime config is stored in the schema definition and can include specific
     }
 
     async handleSwitchTenant(args) {
-        const { tenant_Id } = args;
+        const { tenant_Id, activate = true } = args;
         const result = await baasixRequest("/auth/switch-tenant", {
             method: "POST",
             data: { tenant_Id },
         });
+
+        const token = extractToken(result);
+        const profile = getProfile();
+        if (activate && token) {
+            setSession(profile, {
+                token,
+                user: result.user?.email || getSession(profile)?.user || profile.email,
+                tenant: extractTenant(result) || tenant_Id,
+                source: "baasix_switch_tenant",
+            });
+        }
+
         return {
             content: [
                 {
                     type: "text",
-                    text: JSON.stringify(result, null, 2),
+                    text: JSON.stringify(
+                        { ...result, active_identity: describeIdentity(profile), session_adopted: !!(activate && token) },
+                        null,
+                        2
+                    ),
                 },
             ],
         };
     }
 
     async handleLogout() {
-        const result = await baasixRequest("/auth/logout");
+        const profile = getProfile();
+        const activeSession = getSession(profile);
+
+        let result;
+        try {
+            result = await baasixRequest("/auth/logout");
+        } catch (error) {
+            // An expired session must still be revertible
+            if (!activeSession) throw error;
+            result = { warning: `Server logout failed: ${error.message}` };
+        }
+
+        // End the adopted session and revert to the configured identity
+        const endedSession = clearSession(profile);
+        if (!endedSession) {
+            clearAuthToken(profile);
+        }
+
         return {
             content: [
                 {
                     type: "text",
-                    text: JSON.stringify(result, null, 2),
+                    text: JSON.stringify(
+                        {
+                            ...result,
+                            ended_session: endedSession ? describeIdentity(profile, endedSession) : null,
+                            active_identity: describeIdentity(profile),
+                        },
+                        null,
+                        2
+                    ),
                 },
             ],
         };
@@ -2678,10 +4650,36 @@ The realtime config is stored in the schema definition and can include specific
     }
 
     async run() {
+        if (config.BAASIX_MCP_TRANSPORT === "http") {
+            return this.runHttp();
+        }
+
         const transport = new StdioServerTransport();
         await this.server.connect(transport);
         console.error("Baasix MCP Server running on stdio");
     }
+
+    async runHttp() {
+        const validation = validateConfig(config);
+        if (!validation.isValid) {
+            throw new Error(`Configuration validation failed:\n${validation.errors.join("\n")}`);
+        }
+        validation.warnings.forEach((warning) => console.warn(`Warning: ${warning}`));
+
+        const host = config.BAASIX_MCP_HOST || "127.0.0.1";
+        const port = Number(config.BAASIX_MCP_PORT || 8057);
+
+        this.httpServer = await startHttpServer(() => this.createServer(), {
+            host,
+            port,
+            authToken: config.BAASIX_MCP_AUTH_TOKEN,
+            sessionTtl: Number(config.BAASIX_MCP_SESSION_TTL ?? 30),
+            onSessionClosed: clearClientSessions,
+        });
+
+        const { port: boundPort } = this.httpServer.httpServer.address();
+        console.error(`Baasix MCP Server running on http://${host}:${boundPort} (Streamable HTTP: /mcp, SSE: /sse)`);
+    }
 }
 
 // Export the server class
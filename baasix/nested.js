@@ -0,0 +1,236 @@
+/**
+ * Nested relational writes
+ * Creates a document together with its related records in dependency order (M2O parents first, then the record,
+ * then O2M children and M2M/M2A junction rows), deleting everything it created when a later step fails
+ */
+
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { BaasixApiError } from "./errors.js";
+import { describeItemError } from "./bulk.js";
+import { getPrimaryKey, getRelationKind } from "./fields.js";
+
+// Junction columns of M2A relations when the schema does not name them
+const M2A_DEFAULTS = { collectionKey: "collection", itemKey: "item_id" };
+
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function invalid(path, message) {
+    return new McpError(ErrorCode.InvalidParams, `${path}: ${message}`);
+}
+
+// Existing record given by ID, or by an object holding its primary key
+function referencedId(value, primaryKey) {
+    if (!isPlainObject(value)) return value;
+    return value[primaryKey] ?? null;
+}
+
+/**
+ * Check a nested document against the collection schemas before anything is written
+ * @returns {Promise<number>} Number of records (including junction rows) the document creates
+ */
+async function checkDocument(getFields, collection, doc, path) {
+    if (!isPlainObject(doc)) throw invalid(path, "must be an object");
+    const fields = await getFields(collection);
+    if (Object.keys(fields).length === 0) throw invalid(path, `collection "${collection}" has no schema fields`);
+
+    let writes = 1;
+    for (const [name, value] of Object.entries(doc)) {
+        const field = fields[name];
+        const kind = getRelationKind(field);
+        if (!kind || value === null || value === undefined) continue;
+
+        const fieldPath = `${path}.${name}`;
+        if (kind !== "M2A" && !field.target) throw invalid(fieldPath, `schema of relation "${name}" does not name its target`);
+
+        // A nested object without a primary key is a new record; anything else references an existing one
+        const checkRelated = async (target, related, relatedPath) => {
+            if (!isPlainObject(related)) return 0;
+            const relatedFields = await getFields(target);
+            return referencedId(related, getPrimaryKey(relatedFields)) == null
+                ? checkDocument(getFields, target, related, relatedPath)
+                : 0;
+        };
+
+        if (kind === "M2O") {
+            if (!field.foreignKey) throw invalid(fieldPath, `schema of relation "${name}" does not name its foreignKey`);
+            if (Array.isArray(value)) throw invalid(fieldPath, "M2O relation takes one record or ID, not an array");
+            writes += await checkRelated(field.target, value, fieldPath);
+            continue;
+        }
+
+        if (kind === "O2M") {
+            if (!field.foreignKey) throw invalid(fieldPath, `schema of relation "${name}" does not name its foreignKey`);
+            const children = field.relType === "HasOne" && !Array.isArray(value) ? [value] : value;
+            if (!Array.isArray(children)) throw invalid(fieldPath, "O2M relation takes an array of records");
+
+            const targetKey = getPrimaryKey(await getFields(field.target));
+            for (let i = 0; i < children.length; i++) {
+                const childPath = `${fieldPath}[${i}]`;
+                if (!isPlainObject(children[i]) || referencedId(children[i], targetKey) != null) {
+                    throw invalid(childPath, "O2M children must be new records (objects without a primary key)");
+                }
+                writes += await checkDocument(getFields, field.target, children[i], childPath);
+            }
+            continue;
+        }
+
+        if (!Array.isArray(value)) throw invalid(fieldPath, `${kind} relation takes an array`);
+        if (!field.through || !field.foreignKey) {
+            throw invalid(fieldPath, `schema of relation "${name}" does not name its through table and foreignKey`);
+        }
+
+        for (let i = 0; i < value.length; i++) {
+            const entryPath = `${fieldPath}[${i}]`;
+            if (kind === "M2M") {
+                if (!field.otherKey) throw invalid(fieldPath, `schema of relation "${name}" does not name its otherKey`);
+                writes += 1 + (await checkRelated(field.target, value[i], entryPath));
+                continue;
+            }
+
+            // M2A entries name the collection of the related record: {"collection": "posts", "item": {...} or ID}
+            const entry = value[i];
+            if (!isPlainObject(entry) || typeof entry.collection !== "string" || entry.item == null) {
+                throw invalid(entryPath, 'M2A entries must look like {"collection": "posts", "item": {...} or ID}');
+            }
+            if (Array.isArray(field.tables) && !field.tables.includes(entry.collection)) {
+                throw invalid(entryPath, `collection must be one of: ${field.tables.join(", ")}`);
+            }
+            writes += 1 + (await checkRelated(entry.collection, entry.item, `${entryPath}.item`));
+        }
+    }
+    return writes;
+}
+
+/**
+ * Create a nested document
+ * @param {object} api - getFields(collection), createItem(collection, data) resolving to the new ID and
+ *   deleteItem(collection, id)
+ * @param {object} options - collection, data (the nested document) and maxItems, the most records that may be written
+ * @returns {Promise<object>} id of the created record and every created record with its path in the document;
+ *   when a write fails, where it failed, the error and the outcome of deleting what had been created
+ */
+export async function createNested(api, { collection, data, maxItems = Infinity }) {
+    const writes = await checkDocument(api.getFields, collection, data, "data");
+    if (writes > maxItems) {
+        throw new McpError(ErrorCode.InvalidParams, `Document would create ${writes} records; at most ${maxItems} are allowed`);
+    }
+
+    const created = [];
+    let failedAt = null;
+    const create = async (target, values, path) => {
+        let id;
+        try {
+            id = await api.createItem(target, values);
+        } catch (error) {
+            failedAt = { path, collection: target };
+            throw error;
+        }
+        created.push({ path, collection: target, id });
+        return id;
+    };
+
+    // ID of a related record, creating it first when it is new
+    const resolveRelated = async (target, value, path) => {
+        if (!isPlainObject(value)) return value;
+        const id = referencedId(value, getPrimaryKey(await api.getFields(target)));
+        return id != null ? id : insert(target, value, path);
+    };
+
+    const insert = async (target, doc, path) => {
+        const fields = await api.getFields(target);
+        const values = {};
+        const dependents = [];
+
+        for (const [name, value] of Object.entries(doc)) {
+            const field = fields[name];
+            const kind = getRelationKind(field);
+            if (!kind) {
+                values[name] = value;
+            } else if (value == null) {
+                continue;
+            } else if (kind === "M2O") {
+                // Parents first, so the foreign key can be set
+                values[field.foreignKey] = await resolveRelated(field.target, value, `${path}.${name}`);
+            } else {
+                dependents.push({ name, field, kind, value });
+            }
+        }
+
+        const id = await create(target, values, path);
+
+        for (const { name, field, kind, value } of dependents) {
+            const fieldPath = `${path}.${name}`;
+
+            if (kind === "O2M") {
+                const children = Array.isArray(value) ? value : [value];
+                for (let i = 0; i < children.length; i++) {
+                    await insert(field.target, { ...children[i], [field.foreignKey]: id }, `${fieldPath}[${i}]`);
+                }
+                continue;
+            }
+
+            for (let i = 0; i < value.length; i++) {
+                const entryPath = `${fieldPath}[${i}]`;
+                if (kind === "M2M") {
+                    const relatedId = await resolveRelated(field.target, value[i], entryPath);
+                    await create(field.through, { [field.foreignKey]: id, [field.otherKey]: relatedId }, entryPath);
+                    continue;
+                }
+
+                const { collection: relatedCollection, item } = value[i];
+                const itemId = await resolveRelated(relatedCollection, item, `${entryPath}.item`);
+                await create(
+                    field.through,
+                    {
+                        [field.foreignKey]: id,
+                        [field.collectionKey || M2A_DEFAULTS.collectionKey]: relatedCollection,
+                        [field.otherKey || M2A_DEFAULTS.itemKey]: itemId,
+                    },
+                    entryPath
+                );
+            }
+        }
+        return id;
+    };
+
+    try {
+        const id = await insert(collection, data, "data");
+        return { collection, id, complete: true, created: created.length, records: created };
+    } catch (error) {
+        return {
+            collection,
+            complete: false,
+            failedAt,
+            error: describeItemError(error),
+            ...(await rollBack(api, created)),
+        };
+    }
+}
+
+/**
+ * Delete created records, newest first, so children go before their parents
+ * @param {object} api - deleteItem(collection, id)
+ * @param {Array<{ collection: string, id: any }>} created - Records in the order they were created
+ * @returns {Promise<{ rolledBack: object[], rollbackFailures: object[] }>}
+ */
+export async function rollBack(api, created) {
+    const rolledBack = [];
+    const rollbackFailures = [];
+
+    for (const record of [...created].reverse()) {
+        try {
+            await api.deleteItem(record.collection, record.id);
+            rolledBack.push(record);
+        } catch (error) {
+            // Already gone, e.g. removed by a cascading delete of its parent
+            if (error instanceof BaasixApiError && error.status === 404) {
+                rolledBack.push(record);
+            } else {
+                rollbackFailures.push({ ...record, error: describeItemError(error) });
+            }
+        }
+    }
+    return { rolledBack, rollbackFailures };
+}
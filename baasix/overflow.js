@@ -0,0 +1,127 @@
+/**
+ * Response size guard
+ * Cuts tool results that exceed the maximum response size down to the records that fit, with a summary and a
+ * handle to the full result, so a large query cannot fill the client's context window
+ */
+
+import { randomUUID } from "crypto";
+import { extractRows } from "./format.js";
+
+export const OVERFLOW_DEFAULTS = {
+    maxResponseBytes: 100000,
+    ttl: 30 * 60 * 1000,
+    maxEntries: 20,
+};
+
+/**
+ * Create a store of overflowed results
+ * @param {object} options - ttl in milliseconds and maxEntries (the oldest entries are dropped first)
+ * @returns {{ put: (entry: object) => string, get: (handle: string) => object | null }}
+ */
+export function createOverflowStore({ ttl = OVERFLOW_DEFAULTS.ttl, maxEntries = OVERFLOW_DEFAULTS.maxEntries } = {}) {
+    // handle -> { expires, entry }, in insertion order
+    const entries = new Map();
+
+    const prune = () => {
+        const now = Date.now();
+        for (const [handle, stored] of entries) {
+            if (stored.expires <= now) entries.delete(handle);
+        }
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    };
+
+    return {
+        put(entry) {
+            const handle = `ovf_${randomUUID()}`;
+            entries.set(handle, { expires: Date.now() + ttl, entry: { ...entry, createdAt: new Date().toISOString() } });
+            prune();
+            return handle;
+        },
+
+        get(handle) {
+            prune();
+            return entries.get(handle)?.entry || null;
+        },
+    };
+}
+
+function byteSize(blocks) {
+    return blocks.reduce((total, text) => total + Buffer.byteLength(text, "utf8"), 0);
+}
+
+// Longest prefix of a text that fits in a number of bytes
+function fitText(text, maxBytes) {
+    if (Buffer.byteLength(text, "utf8") <= maxBytes) return text;
+    let low = 0;
+    let high = Math.min(text.length, maxBytes);
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (Buffer.byteLength(text.slice(0, middle), "utf8") <= maxBytes) low = middle;
+        else high = middle - 1;
+    }
+    return text.slice(0, low);
+}
+
+/**
+ * Render a tool result within the maximum response size
+ * @param {any} value - Parsed tool result
+ * @param {object} options - render(value) returning text blocks, maxBytes (0 disables the guard), store from
+ *   createOverflowStore and the tool name
+ * @returns {string[]} Text blocks; when the result was cut, the last block is the overflow summary with its handle
+ */
+export function limitResponse(value, { render, maxBytes, store, tool }) {
+    const blocks = render(value);
+    const totalBytes = byteSize(blocks);
+    if (!maxBytes || totalBytes <= maxBytes) return blocks;
+
+    const { rows, single, meta, rebuild } = extractRows(value);
+    const summaryBlock = (summary) => JSON.stringify({ overflow: summary }, null, 2);
+
+    if (single || rows.length === 0) {
+        // No records to pick from: keep the start of the text
+        const text = blocks.join("\n");
+        const handle = store.put({ tool, text });
+        const summary = {
+            message:
+                `Response is ${totalBytes} bytes, over the ${maxBytes} byte limit; showing the start of it. ` +
+                "Use baasix_get_overflow with the handle to read the rest or write it to a file",
+            handle,
+            totalBytes,
+            totalCharacters: text.length,
+        };
+        const budget = Math.max(0, maxBytes - Buffer.byteLength(summaryBlock({ ...summary, returnedCharacters: text.length })));
+        const kept = fitText(text, budget);
+        return [kept, summaryBlock({ ...summary, returnedCharacters: kept.length })];
+    }
+
+    const handle = store.put({ tool, rows, meta });
+    const fields = [...new Set(rows.flatMap((row) => (row && typeof row === "object" ? Object.keys(row) : [])))];
+    const summarize = (returned) => ({
+        message:
+            `Response is ${totalBytes} bytes, over the ${maxBytes} byte limit; showing ${returned} of ${rows.length} records. ` +
+            "Use baasix_get_overflow with the handle to read the rest or write it to a file",
+        handle,
+        totalCount: typeof meta.totalCount === "number" ? meta.totalCount : rows.length,
+        records: rows.length,
+        returnedRecords: returned,
+        omittedRecords: rows.length - returned,
+        nextOffset: returned,
+        totalBytes,
+        fields,
+    });
+
+    // Most records whose rendering, with the summary, fits
+    const fits = (count) =>
+        byteSize(render(rebuild(rows.slice(0, count)))) + Buffer.byteLength(summaryBlock(summarize(count))) <= maxBytes;
+    let low = 0;
+    let high = rows.length - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (fits(middle)) low = middle;
+        else high = middle - 1;
+    }
+
+    return [...render(rebuild(rows.slice(0, low))), summaryBlock(summarize(low))];
+}
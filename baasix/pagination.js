@@ -0,0 +1,95 @@
+/**
+ * Automatic pagination for item queries
+ * Walks pages up to a row/byte cap and hands out opaque cursors to continue from where it stopped
+ */
+
+export const PAGINATION_DEFAULTS = {
+    pageSize: 100,
+    maxRows: 1000,
+    maxBytes: 1024 * 1024, // 1 MB of serialized rows
+};
+
+const CURSOR_VERSION = 1;
+
+// Encode the query and position to resume from as an opaque string
+export function encodeCursor(state) {
+    return Buffer.from(JSON.stringify({ v: CURSOR_VERSION, ...state })).toString("base64url");
+}
+
+// Decode a cursor created by encodeCursor
+export function decodeCursor(cursor) {
+    let state;
+    try {
+        state = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    } catch (error) {
+        throw new Error("Invalid cursor: pass the nextCursor value from a previous result unchanged");
+    }
+    if (state?.v !== CURSOR_VERSION || !state.collection || !Number.isInteger(state.page)) {
+        throw new Error("Invalid cursor: pass the nextCursor value from a previous result unchanged");
+    }
+    return state;
+}
+
+/**
+ * Fetch pages until the result set ends or a cap is reached
+ * @param {(page: number, pageSize: number) => Promise<{ data?: object[], totalCount?: number }>} fetchPage
+ * @param {object} options - page and skip (position to start from), pageSize, maxRows, maxBytes,
+ *   rowBytes(row) giving the size a row counts against maxBytes (its compact JSON by default),
+ *   and onProgress(rows, totalCount) called after every page
+ * @returns {Promise<{ data: object[], totalCount: number | null, pagesFetched: number, complete: boolean,
+ *   next: { page: number, skip: number } | null }>} next is the position to resume from when incomplete
+ */
+export async function paginate(fetchPage, options = {}) {
+    const {
+        pageSize = PAGINATION_DEFAULTS.pageSize,
+        maxRows = PAGINATION_DEFAULTS.maxRows,
+        maxBytes = PAGINATION_DEFAULTS.maxBytes,
+        rowBytes = (row) => Buffer.byteLength(JSON.stringify(row)),
+        onProgress,
+    } = options;
+
+    const data = [];
+    let bytes = 0;
+    let page = options.page || 1;
+    let skip = options.skip || 0;
+    let totalCount = null;
+    let pagesFetched = 0;
+
+    for (;;) {
+        const result = await fetchPage(page, pageSize);
+        const rows = result?.data || [];
+        pagesFetched++;
+        if (typeof result?.totalCount === "number") totalCount = result.totalCount;
+
+        const isLastPage = rows.length < pageSize || (totalCount !== null && page * pageSize >= totalCount);
+
+        // Index of the first row that did not fit under the caps
+        let stoppedAt = null;
+        for (let i = skip; i < rows.length; i++) {
+            // Always return at least one row, even if it alone exceeds the byte cap
+            const size = rowBytes(rows[i]);
+            if (data.length >= maxRows || (data.length > 0 && bytes + size > maxBytes)) {
+                stoppedAt = i;
+                break;
+            }
+            data.push(rows[i]);
+            bytes += size;
+        }
+
+        await onProgress?.(data.length, totalCount);
+
+        if (stoppedAt !== null) {
+            return { data, totalCount, pagesFetched, complete: false, next: { page, skip: stoppedAt } };
+        }
+        if (isLastPage) {
+            return { data, totalCount, pagesFetched, complete: true, next: null };
+        }
+
+        page++;
+        skip = 0;
+
+        if (data.length >= maxRows) {
+            return { data, totalCount, pagesFetched, complete: false, next: { page, skip } };
+        }
+    }
+}
@@ -0,0 +1,24 @@
+/**
+ * Local file paths used by export and import tools
+ */
+
+import { isAbsolute, relative, resolve } from "path";
+
+// Directory that file paths are confined to when BAASIX_MCP_DATA_DIR is not set (relative to the working directory)
+export const DEFAULT_DATA_DIR = "./data";
+
+/**
+ * Resolve a path given by a tool call
+ * Paths always have to stay inside the data directory, so tools cannot read or overwrite other local files
+ * @param {string} filePath - Absolute, or relative to dataDir
+ * @param {string} [dataDir] - BAASIX_MCP_DATA_DIR (default: ./data)
+ */
+export function resolveLocalPath(filePath, dataDir = DEFAULT_DATA_DIR) {
+    const base = resolve(dataDir || DEFAULT_DATA_DIR);
+    const resolved = resolve(base, filePath);
+    const fromBase = relative(base, resolved);
+    if (fromBase.startsWith("..") || isAbsolute(fromBase)) {
+        throw new Error(`Path ${filePath} is outside the data directory (${base}); set BAASIX_MCP_DATA_DIR to change it`);
+    }
+    return resolved;
+}
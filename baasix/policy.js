@@ -0,0 +1,236 @@
+/**
+ * Tool access policy for Baasix MCP Server
+ * Decides which tools are listed and callable based on the configured mode
+ */
+
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { MODES, MODE_BEHAVIORS } from "./config.js";
+
+// Tool categories that can be enabled or disabled as a group
+export const TOOL_CATEGORIES = [
+    "schema",
+    "items",
+    "files",
+    "auth",
+    "permissions",
+    "realtime",
+    "notifications",
+    "templates",
+    "reports",
+    "utils",
+];
+
+// Category and access level of every tool. Access levels:
+// - read: never modifies data
+// - write: creates or updates data, schemas or settings, or writes local files
+// - destructive: deletes data, drops schema objects or replaces data wholesale
+export const TOOL_METADATA = {
+    // Schema Management
+    baasix_list_schemas: { category: "schema", access: "read" },
+    baasix_get_schema: { category: "schema", access: "read" },
+    baasix_create_schema: { category: "schema", access: "write" },
+    baasix_update_schema: { category: "schema", access: "write" },
+    baasix_delete_schema: { category: "schema", access: "destructive" },
+    baasix_add_index: { category: "schema", access: "write" },
+    baasix_remove_index: { category: "schema", access: "destructive" },
+    baasix_create_relationship: { category: "schema", access: "write" },
+    baasix_update_relationship: { category: "schema", access: "write" },
+    baasix_delete_relationship: { category: "schema", access: "destructive" },
+    baasix_export_schemas: { category: "schema", access: "read" },
+    baasix_diff_schemas: { category: "schema", access: "read" },
+    baasix_import_schemas: { category: "schema", access: "write" },
+
+    // Item Management
+    baasix_list_items: { category: "items", access: "read" },
+    baasix_get_item: { category: "items", access: "read" },
+    baasix_create_item: { category: "items", access: "write" },
+    baasix_update_item: { category: "items", access: "write" },
+    baasix_delete_item: { category: "items", access: "destructive" },
+    baasix_restore_item: { category: "items", access: "write" },
+    baasix_purge_item: { category: "items", access: "destructive" },
+    baasix_bulk_create_items: { category: "items", access: "write" },
+    baasix_bulk_update_items: { category: "items", access: "write" },
+    baasix_bulk_delete_items: { category: "items", access: "destructive" },
+    baasix_upsert_items: { category: "items", access: "write" },
+    baasix_clone_item: { category: "items", access: "write" },
+    baasix_create_nested_item: { category: "items", access: "write" },
+    baasix_seed_collection: { category: "items", access: "write" },
+    baasix_export_items: { category: "items", access: "write" },
+    baasix_import_items: { category: "items", access: "write" },
+
+    // File Management
+    baasix_list_files: { category: "files", access: "read" },
+    baasix_get_file_info: { category: "files", access: "read" },
+    baasix_delete_file: { category: "files", access: "destructive" },
+
+    // Authentication
+    baasix_auth_status: { category: "auth", access: "read" },
+    baasix_refresh_auth: { category: "auth", access: "read" },
+
+    // Reports and Analytics
+    baasix_generate_report: { category: "reports", access: "read" },
+    baasix_collection_stats: { category: "reports", access: "read" },
+
+    // Notifications
+    baasix_list_notifications: { category: "notifications", access: "read" },
+    baasix_send_notification: { category: "notifications", access: "write" },
+    baasix_mark_notification_seen: { category: "notifications", access: "write" },
+
+    // Settings
+    baasix_get_settings: { category: "utils", access: "read" },
+    baasix_update_settings: { category: "utils", access: "write" },
+
+    // Email Templates
+    baasix_list_templates: { category: "templates", access: "read" },
+    baasix_get_template: { category: "templates", access: "read" },
+    baasix_update_template: { category: "templates", access: "write" },
+
+    // Permissions
+    baasix_list_roles: { category: "permissions", access: "read" },
+    baasix_list_permissions: { category: "permissions", access: "read" },
+    baasix_get_permission: { category: "permissions", access: "read" },
+    baasix_get_permissions: { category: "permissions", access: "read" },
+    baasix_create_permission: { category: "permissions", access: "write" },
+    baasix_update_permission: { category: "permissions", access: "write" },
+    baasix_delete_permission: { category: "permissions", access: "destructive" },
+    baasix_reload_permissions: { category: "permissions", access: "write" },
+    // Replaces all of a role's permissions, which can wipe them like a delete
+    baasix_update_permissions: { category: "permissions", access: "destructive" },
+
+    // Realtime
+    baasix_realtime_status: { category: "realtime", access: "read" },
+    baasix_realtime_config: { category: "realtime", access: "read" },
+    baasix_realtime_collections: { category: "realtime", access: "read" },
+    baasix_realtime_enable: { category: "realtime", access: "write" },
+    baasix_realtime_disable: { category: "realtime", access: "write" },
+
+    // Utilities
+    baasix_server_info: { category: "utils", access: "read" },
+    baasix_list_profiles: { category: "utils", access: "read" },
+    baasix_audit_log: { category: "utils", access: "read" },
+    // Reading overflow is a read; saving it with "path" is checked as a write by the handler
+    baasix_get_overflow: { category: "utils", access: "read" },
+    baasix_sort_items: { category: "utils", access: "write" },
+
+    // Auth (session changes do not modify data)
+    baasix_register_user: { category: "auth", access: "write" },
+    baasix_login: { category: "auth", access: "read" },
+    baasix_send_invite: { category: "auth", access: "write" },
+    baasix_verify_invite: { category: "auth", access: "read" },
+    baasix_send_magic_link: { category: "auth", access: "write" },
+    baasix_get_user_tenants: { category: "auth", access: "read" },
+    baasix_switch_tenant: { category: "auth", access: "read" },
+    baasix_logout: { category: "auth", access: "read" },
+    baasix_get_current_user: { category: "auth", access: "read" },
+};
+
+// Access levels allowed in each mode
+const MODE_ACCESS = {
+    full: ["read", "write", "destructive"],
+    safe: ["read", "write"],
+    readonly: ["read"],
+};
+
+// Unclassified tools are treated as destructive so they are blocked by default
+export function getToolAccess(name) {
+    return TOOL_METADATA[name]?.access || "destructive";
+}
+
+export function getToolCategory(name) {
+    return TOOL_METADATA[name]?.category || null;
+}
+
+// Parse a tool list setting: an array (config file) or a comma/space separated string (env)
+export function parseToolList(value) {
+    if (!value) return [];
+    const entries = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+    return entries.map((entry) => String(entry).trim()).filter(Boolean);
+}
+
+// Convert a glob pattern (* and ?) into a regular expression
+function globToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    return new RegExp(`^${escaped.replace(/\*/g, ".*").replace(/\?/g, ".")}$`);
+}
+
+// Build a matcher for a list of category names and/or tool name globs
+function createToolMatcher(entries) {
+    const categories = new Set(entries.filter((entry) => TOOL_CATEGORIES.includes(entry)));
+    const patterns = entries.filter((entry) => !TOOL_CATEGORIES.includes(entry)).map(globToRegExp);
+
+    return (name) => categories.has(getToolCategory(name)) || patterns.some((pattern) => pattern.test(name));
+}
+
+/**
+ * Create the tool policy for a configuration
+ * @param {object} config - Loaded configuration (BAASIX_MCP_MODE, BAASIX_MCP_MODE_BEHAVIOR,
+ *   BAASIX_MCP_ENABLED_TOOLS, BAASIX_MCP_DISABLED_TOOLS)
+ */
+export function createToolPolicy(config = {}) {
+    const mode = config.BAASIX_MCP_MODE || "full";
+    const behavior = config.BAASIX_MCP_MODE_BEHAVIOR || "hide";
+    const enabled = parseToolList(config.BAASIX_MCP_ENABLED_TOOLS);
+    const disabled = parseToolList(config.BAASIX_MCP_DISABLED_TOOLS);
+
+    if (!MODES.includes(mode)) {
+        throw new Error(`BAASIX_MCP_MODE must be one of: ${MODES.join(", ")}`);
+    }
+    if (!MODE_BEHAVIORS.includes(behavior)) {
+        throw new Error(`BAASIX_MCP_MODE_BEHAVIOR must be one of: ${MODE_BEHAVIORS.join(", ")}`);
+    }
+
+    // Warn about entries that select nothing (usually a typo)
+    const toolNames = Object.keys(TOOL_METADATA);
+    [...enabled, ...disabled].forEach((entry) => {
+        if (!toolNames.some(createToolMatcher([entry]))) {
+            console.warn(`Warning: tool filter "${entry}" does not match any tool or category`);
+        }
+    });
+
+    const isEnabled = createToolMatcher(enabled);
+    const isDisabled = createToolMatcher(disabled);
+
+    // Allowlist/denylist: tools that are not selected are never listed or callable
+    const isSelected = (name) => (enabled.length === 0 || isEnabled(name)) && !isDisabled(name);
+    const isAllowedByMode = (name) => MODE_ACCESS[mode].includes(getToolAccess(name));
+    const isAllowed = (name) => isSelected(name) && isAllowedByMode(name);
+
+    return {
+        mode,
+        behavior,
+        isAllowed,
+
+        // Whether the mode allows an access level, for tools that only write in some calls
+        allowsAccess(access) {
+            return MODE_ACCESS[mode].includes(access);
+        },
+
+        // Tools to advertise to clients, annotated with their access level
+        listTools(tools) {
+            return tools
+                .filter((tool) => isSelected(tool.name))
+                .filter((tool) => behavior === "refuse" || isAllowedByMode(tool.name))
+                .map((tool) => ({
+                    ...tool,
+                    annotations: {
+                        ...tool.annotations,
+                        readOnlyHint: getToolAccess(tool.name) === "read",
+                        destructiveHint: getToolAccess(tool.name) === "destructive",
+                    },
+                }));
+        },
+
+        // Refuse calls to tools that are not selected or that the mode does not allow
+        assertAllowed(name) {
+            if (!isSelected(name)) {
+                throw new McpError(ErrorCode.InvalidRequest, `Tool ${name} is not enabled in the server configuration`);
+            }
+            if (!isAllowedByMode(name)) {
+                throw new McpError(
+                    ErrorCode.InvalidRequest,
+                    `Tool ${name} is disabled: ${getToolAccess(name)} tools are not allowed in ${mode} mode`
+                );
+            }
+        },
+    };
+}
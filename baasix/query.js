@@ -0,0 +1,280 @@
+/**
+ * Text query language
+ * Compiles "where" strings such as
+ *   status = 'active' and price between 10 and 100 and category.name ilike '%phone%'
+ * into Baasix filter objects
+ */
+
+import { OPERATOR_GROUPS } from "./filters.js";
+
+export class QuerySyntaxError extends Error {
+    constructor(message, { line, column }) {
+        super(`${message} at line ${line}, column ${column}`);
+        this.name = "QuerySyntaxError";
+        this.line = line;
+        this.column = column;
+    }
+}
+
+const COMPARISON_OPERATORS = {
+    "=": "eq",
+    "==": "eq",
+    "!=": "neq",
+    "<>": "neq",
+    ">": "gt",
+    ">=": "gte",
+    "<": "lt",
+    "<=": "lte",
+};
+
+// Word operators written as-is, e.g. "name icontains 'phone'" or "tags arraycontains ('a', 'b')"
+const WORD_OPERATORS = new Set(
+    [...OPERATOR_GROUPS.string, ...OPERATOR_GROUPS.array, ...OPERATOR_GROUPS.json, ...OPERATOR_GROUPS.geo].map(
+        (operator) => operator.toLowerCase()
+    )
+);
+const OPERATOR_NAMES = new Map(
+    Object.values(OPERATOR_GROUPS)
+        .flat()
+        .map((operator) => [operator.toLowerCase(), operator])
+);
+
+const TOKEN_PATTERNS = [
+    ["whitespace", /\s+/y],
+    ["string", /'(?:[^'\\]|\\.|'')*'|"(?:[^"\\]|\\.|"")*"/y],
+    ["number", /-?\d+(?:\.\d+)?(?:[eE][-+]?\d+)?(?![\w.])/y],
+    ["variable", /\$[A-Za-z_]+(?:[+-][A-Za-z]+_\d+)?/y],
+    ["operator", /==|!=|<>|>=|<=|=|>|</y],
+    ["punctuation", /[(),[\]]/y],
+    ["identifier", /[A-Za-z_][\w]*(?:\.[A-Za-z_][\w]*)*/y],
+];
+
+// Split a query into tokens with their line/column positions
+export function tokenize(text) {
+    const tokens = [];
+    let index = 0;
+    let line = 1;
+    let lineStart = 0;
+
+    while (index < text.length) {
+        const position = { line, column: index - lineStart + 1 };
+        let match = null;
+        let type = null;
+
+        for (const [tokenType, pattern] of TOKEN_PATTERNS) {
+            pattern.lastIndex = index;
+            match = pattern.exec(text);
+            if (match) {
+                type = tokenType;
+                break;
+            }
+        }
+        if (!match) {
+            throw new QuerySyntaxError(`Unexpected character "${text[index]}"`, position);
+        }
+
+        const value = match[0];
+        if (type !== "whitespace") {
+            tokens.push({ type, value, ...position });
+        }
+
+        // Track line breaks for positions
+        for (let i = 0; i < value.length; i++) {
+            if (value[i] === "\n") {
+                line++;
+                lineStart = index + i + 1;
+            }
+        }
+        index += value.length;
+    }
+
+    tokens.push({ type: "end", value: "", line, column: index - lineStart + 1 });
+    return tokens;
+}
+
+function unquote(token) {
+    const quote = token.value[0];
+    return token.value
+        .slice(1, -1)
+        .replace(new RegExp(`${quote}${quote}`, "g"), quote)
+        .replace(/\\(.)/g, "$1");
+}
+
+function describe(token) {
+    return token.type === "end" ? "end of query" : `"${token.value}"`;
+}
+
+/**
+ * Parse a where string into a Baasix filter object
+ * @param {string} text - e.g. "status = 'active' and (price < 10 or tags arraycontains ('sale'))"
+ * @returns {object} Filter such as {"AND": [{"status": {"eq": "active"}}, ...]}
+ * @throws {QuerySyntaxError} With the line and column of the problem
+ */
+export function parseWhere(text) {
+    const tokens = tokenize(text);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const isKeyword = (token, keyword) => token.type === "identifier" && token.value.toLowerCase() === keyword;
+    const fail = (message, token = peek()) => {
+        throw new QuerySyntaxError(message, token);
+    };
+    const acceptKeyword = (keyword) => {
+        if (!isKeyword(peek(), keyword)) return false;
+        position++;
+        return true;
+    };
+    const expectKeyword = (keyword) => {
+        if (!acceptKeyword(keyword)) fail(`Expected "${keyword}" but found ${describe(peek())}`);
+    };
+    const expectPunctuation = (value) => {
+        const token = peek();
+        if (token.type !== "punctuation" || token.value !== value) {
+            fail(`Expected "${value}" but found ${describe(token)}`);
+        }
+        position++;
+    };
+
+    const parseValue = () => {
+        const token = peek();
+        switch (token.type) {
+            case "string":
+                position++;
+                return unquote(token);
+            case "number":
+                position++;
+                return Number(token.value);
+            case "variable":
+                position++;
+                return token.value;
+            case "identifier": {
+                const word = token.value.toLowerCase();
+                if (word === "true" || word === "false") {
+                    position++;
+                    return word === "true";
+                }
+                if (word === "null") {
+                    position++;
+                    return null;
+                }
+                return fail(`Expected a value but found ${describe(token)}; quote text values, e.g. '${token.value}'`);
+            }
+            case "punctuation":
+                if (token.value === "(" || token.value === "[") return parseList();
+                return fail(`Expected a value but found ${describe(token)}`);
+            default:
+                return fail(`Expected a value but found ${describe(token)}`);
+        }
+    };
+
+    const parseList = () => {
+        const open = next();
+        const close = open.value === "(" ? ")" : "]";
+        const values = [];
+        if (peek().value !== close) {
+            values.push(parseValue());
+            while (peek().type === "punctuation" && peek().value === ",") {
+                position++;
+                values.push(parseValue());
+            }
+        }
+        expectPunctuation(close);
+        return values;
+    };
+
+    const parseCondition = () => {
+        const fieldToken = peek();
+        if (fieldToken.type !== "identifier") {
+            fail(`Expected a field name but found ${describe(fieldToken)}`);
+        }
+        position++;
+        const field = fieldToken.value;
+        const condition = (operator, value) => ({ [field]: { [operator]: value } });
+
+        const token = peek();
+        if (token.type === "operator") {
+            position++;
+            return condition(COMPARISON_OPERATORS[token.value], parseValue());
+        }
+        if (token.type !== "identifier") {
+            fail(`Expected an operator after "${field}" but found ${describe(token)}`);
+        }
+
+        // is [not] null / is [not] empty
+        if (acceptKeyword("is")) {
+            const negated = acceptKeyword("not");
+            if (acceptKeyword("null")) return condition("isNull", !negated);
+            if (acceptKeyword("empty")) return condition("empty", !negated);
+            fail(`Expected "null" or "empty" but found ${describe(peek())}`);
+        }
+
+        const negated = acceptKeyword("not");
+        const operatorToken = peek();
+        const word = operatorToken.type === "identifier" ? operatorToken.value.toLowerCase() : null;
+
+        if (word === "in") {
+            position++;
+            if (peek().value !== "(" && peek().value !== "[") fail(`Expected a list such as ('a', 'b') but found ${describe(peek())}`);
+            return condition(negated ? "nin" : "in", parseList());
+        }
+        if (word === "between") {
+            position++;
+            const from = parseValue();
+            expectKeyword("and");
+            const to = parseValue();
+            return condition(negated ? "nbetween" : "between", [from, to]);
+        }
+        if (word === "like" || word === "ilike" || WORD_OPERATORS.has(word)) {
+            position++;
+            const filter = condition(OPERATOR_NAMES.get(word) || word, parseValue());
+            return negated ? { NOT: filter } : filter;
+        }
+
+        return fail(
+            negated
+                ? `Expected "in", "between", "like" or another operator after "not" but found ${describe(operatorToken)}`
+                : `Unknown operator ${describe(operatorToken)} after "${field}"`,
+            operatorToken
+        );
+    };
+
+    // Precedence: not > and > or
+    const parseUnary = () => {
+        if (acceptKeyword("not")) return { NOT: parseUnary() };
+        if (peek().type === "punctuation" && peek().value === "(") {
+            position++;
+            const expression = parseOr();
+            expectPunctuation(")");
+            return expression;
+        }
+        return parseCondition();
+    };
+
+    const parseAnd = () => {
+        const terms = [parseUnary()];
+        while (acceptKeyword("and")) terms.push(parseUnary());
+        return terms.length === 1 ? terms[0] : { AND: terms };
+    };
+
+    const parseOr = () => {
+        const terms = [parseAnd()];
+        while (acceptKeyword("or")) terms.push(parseAnd());
+        return terms.length === 1 ? terms[0] : { OR: terms };
+    };
+
+    if (peek().type === "end") {
+        fail("Empty query");
+    }
+    const filter = parseOr();
+    if (peek().type !== "end") {
+        fail(`Unexpected ${describe(peek())}; combine conditions with "and" or "or"`);
+    }
+    return filter;
+}
+
+// Combine a compiled where string with an existing filter object
+export function mergeFilters(filter, whereFilter) {
+    if (!filter || Object.keys(filter).length === 0) return whereFilter;
+    return { AND: [filter, whereFilter] };
+}
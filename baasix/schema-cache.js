@@ -0,0 +1,36 @@
+/**
+ * Short-lived cache of collection schemas
+ * Avoids fetching the same schema for every tool call that validates against it
+ */
+
+/**
+ * Create a schema cache
+ * @param {object} options - ttl in milliseconds (0 disables caching)
+ * @returns {{ get: (key: string, load: () => Promise<any>) => Promise<any>, clear: () => void }}
+ */
+export function createSchemaCache({ ttl = 60000 } = {}) {
+    // key -> { expires, promise }; concurrent lookups share one request
+    const entries = new Map();
+
+    return {
+        get(key, load) {
+            const cached = entries.get(key);
+            if (cached && cached.expires > Date.now()) {
+                return cached.promise;
+            }
+
+            const promise = load().catch((error) => {
+                entries.delete(key);
+                throw error;
+            });
+            if (ttl > 0) {
+                entries.set(key, { expires: Date.now() + ttl, promise });
+            }
+            return promise;
+        },
+
+        clear() {
+            entries.clear();
+        },
+    };
+}
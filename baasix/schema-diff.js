@@ -0,0 +1,268 @@
+/**
+ * Schema diff
+ * Compares two sets of collection schemas (a /schemas-export result, a local file or another profile) and
+ * reports added, removed and changed collections, fields, indexes and relationships
+ */
+
+import { isRelationField } from "./fields.js";
+
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Compare values regardless of object key order
+function isEqual(a, b) {
+    if (a === b) return true;
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+        return [...keys].every((key) => isEqual(a[key], b[key]));
+    }
+    return false;
+}
+
+/**
+ * Changed properties of two definitions, down to nested objects: {validate: {min: 1}} -> {validate: {min: 5}}
+ * gives [{ property: "validate.min", from: 1, to: 5 }]
+ */
+function diffProperties(from = {}, to = {}, prefix = "") {
+    const changes = [];
+    const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+    for (const key of keys) {
+        const property = `${prefix}${key}`;
+        if (isPlainObject(from[key]) && isPlainObject(to[key])) {
+            changes.push(...diffProperties(from[key], to[key], `${property}.`));
+        } else if (!isEqual(from[key], to[key])) {
+            changes.push({ property, from: from[key], to: to[key] });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Collection schemas by name, from any of the shapes schemas are passed around in: the /schemas-export
+ * response ({schemas: [{collectionName, schema}]}, optionally wrapped in "data"), an array of those entries,
+ * or an object of collection name -> schema
+ * @returns {Object<string, object>}
+ */
+export function normalizeSchemas(exported) {
+    let entries = exported?.data ?? exported;
+    if (isPlainObject(entries) && Array.isArray(entries.schemas)) entries = entries.schemas;
+
+    if (Array.isArray(entries)) {
+        const schemas = {};
+        entries.forEach((entry, index) => {
+            const name = entry?.collectionName || entry?.schema?.name;
+            if (!name) throw new Error(`Schema entry ${index} has no collectionName`);
+            schemas[name] = entry.schema || {};
+        });
+        return schemas;
+    }
+    if (isPlainObject(entries) && Object.values(entries).every(isPlainObject)) {
+        return entries;
+    }
+    throw new Error('Expected a /schemas-export result ({"schemas": [{"collectionName", "schema"}]}) or an object of collection schemas');
+}
+
+// Columns allow NULL unless they say otherwise, so a missing allowNull equals allowNull: true
+function normalizeField(field) {
+    return isRelationField(field) || field.allowNull !== undefined ? field : { ...field, allowNull: true };
+}
+
+// Indexes are matched by name, or by their fields when unnamed
+function indexKey(index) {
+    return index.name || `(${(index.fields || []).join(", ")})`;
+}
+
+// Added, removed and changed entries of two name -> definition maps
+function diffEntries(from, to) {
+    const result = { added: [], removed: [], changed: [] };
+    for (const [name, definition] of Object.entries(to)) {
+        if (!(name in from)) result.added.push({ name, definition });
+    }
+    for (const [name, definition] of Object.entries(from)) {
+        if (!(name in to)) {
+            result.removed.push({ name, definition });
+            continue;
+        }
+        const changes = diffProperties(definition, to[name]);
+        if (changes.length > 0) result.changed.push({ name, changes });
+    }
+    return result;
+}
+
+function isEmptyDiff(diff) {
+    return diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0;
+}
+
+// Split a collection schema into the parts that are compared separately
+function splitSchema(schema) {
+    const { fields = {}, indexes = [], ...options } = schema;
+    const columns = {};
+    const relationships = {};
+    for (const [name, field] of Object.entries(fields)) {
+        if (isRelationField(field)) relationships[name] = field;
+        else columns[name] = normalizeField(field);
+    }
+    return {
+        options,
+        fields: columns,
+        relationships,
+        indexes: Object.fromEntries(indexes.map((index) => [indexKey(index), index])),
+    };
+}
+
+function describeCollection(name, schema) {
+    const { fields, relationships, indexes } = splitSchema(schema);
+    return {
+        name,
+        fields: Object.keys(fields),
+        relationships: Object.keys(relationships),
+        indexes: Object.keys(indexes),
+    };
+}
+
+/**
+ * Compare two sets of collection schemas
+ * @param {object} from - Collection name -> schema (the current state, e.g. the live server)
+ * @param {object} to - Collection name -> schema (the wanted state, e.g. a local definition)
+ * @param {object} options - collections, to compare only those
+ * @returns {object} identical, counts per kind of change, and the added, removed and changed collections;
+ *   changed collections list their option, field, relationship and index changes as
+ *   { property, from, to } entries
+ */
+export function diffSchemas(from, to, { collections } = {}) {
+    const only = Array.isArray(collections) && collections.length > 0 ? new Set(collections) : null;
+    const pick = (schemas) => Object.fromEntries(Object.entries(schemas).filter(([name]) => !only || only.has(name)));
+    const before = pick(from);
+    const after = pick(to);
+
+    const result = { added: [], removed: [], changed: [], unchanged: [] };
+    for (const name of Object.keys(after)) {
+        if (!(name in before)) result.added.push(describeCollection(name, after[name]));
+    }
+
+    for (const name of Object.keys(before)) {
+        if (!(name in after)) {
+            result.removed.push(describeCollection(name, before[name]));
+            continue;
+        }
+
+        const current = splitSchema(before[name]);
+        const wanted = splitSchema(after[name]);
+        const collection = {
+            name,
+            options: diffProperties(current.options, wanted.options),
+            fields: diffEntries(current.fields, wanted.fields),
+            relationships: diffEntries(current.relationships, wanted.relationships),
+            indexes: diffEntries(current.indexes, wanted.indexes),
+        };
+
+        const unchanged =
+            collection.options.length === 0 &&
+            isEmptyDiff(collection.fields) &&
+            isEmptyDiff(collection.relationships) &&
+            isEmptyDiff(collection.indexes);
+        if (unchanged) result.unchanged.push(name);
+        else result.changed.push(collection);
+    }
+
+    const count = (kind, change) => result.changed.reduce((total, collection) => total + collection[kind][change].length, 0);
+    const counts = (kind) => ({ added: count(kind, "added"), removed: count(kind, "removed"), changed: count(kind, "changed") });
+
+    return {
+        identical: result.added.length === 0 && result.removed.length === 0 && result.changed.length === 0,
+        summary: {
+            collections: {
+                added: result.added.length,
+                removed: result.removed.length,
+                changed: result.changed.length,
+                unchanged: result.unchanged.length,
+            },
+            fields: counts("fields"),
+            relationships: counts("relationships"),
+            indexes: counts("indexes"),
+        },
+        collections: result,
+    };
+}
+
+function showValue(value) {
+    return value === undefined ? "(unset)" : JSON.stringify(value);
+}
+
+function showChanges(changes) {
+    return changes.map(({ property, from, to }) => `${property} ${showValue(from)} -> ${showValue(to)}`).join("; ");
+}
+
+function describeField(field) {
+    return [field.type, field.allowNull === false && "not null", field.primaryKey && "primary key", field.unique && "unique"]
+        .filter(Boolean)
+        .join(", ");
+}
+
+function describeRelationship(field) {
+    const target = field.target || (Array.isArray(field.tables) ? field.tables.join(" | ") : "?");
+    return `${field.relType} -> ${target}`;
+}
+
+// Unnamed indexes are already labelled with their fields
+function describeIndex(index) {
+    return [index.name && (index.fields || []).join(", "), index.unique && "unique"].filter(Boolean).join(", ");
+}
+
+function plural(count, noun) {
+    return `${count} ${noun}${count === 1 ? "" : noun.endsWith("x") ? "es" : "s"}`;
+}
+
+function describeEntry(label, name, detail) {
+    return `${label} ${name}${detail ? ` (${detail})` : ""}`;
+}
+
+/**
+ * Readable form of a diff from diffSchemas, one line per change
+ * @param {object} diff - Result of diffSchemas
+ * @param {object} labels - from and to, naming what was compared (e.g. 'profile "prod"', "file schemas.json")
+ */
+export function formatSchemaDiff(diff, { from, to }) {
+    const { collections, summary } = diff;
+    const lines = [`Schema diff: ${from} -> ${to}`];
+    if (diff.identical) {
+        lines.push(`No differences (${summary.collections.unchanged} collections compared)`);
+        return lines.join("\n");
+    }
+
+    const { added, removed, changed, unchanged } = summary.collections;
+    lines.push(`Collections: ${added} added, ${removed} removed, ${changed} changed, ${unchanged} unchanged`, "");
+
+    for (const collection of collections.added) {
+        lines.push(
+            `+ ${collection.name} (${plural(collection.fields.length, "field")}, ` +
+                `${plural(collection.relationships.length, "relationship")}, ${plural(collection.indexes.length, "index")})`
+        );
+    }
+    for (const collection of collections.removed) {
+        lines.push(`- ${collection.name}`);
+    }
+
+    const sections = [
+        ["fields", "field", describeField],
+        ["relationships", "relationship", describeRelationship],
+        ["indexes", "index", describeIndex],
+    ];
+    for (const collection of collections.changed) {
+        lines.push(`~ ${collection.name}`);
+        for (const [kind, label, describe] of sections) {
+            const diffs = collection[kind];
+            diffs.added.forEach(({ name, definition }) => lines.push(`    + ${describeEntry(label, name, describe(definition))}`));
+            diffs.removed.forEach(({ name, definition }) => lines.push(`    - ${describeEntry(label, name, describe(definition))}`));
+            diffs.changed.forEach(({ name, changes }) => lines.push(`    ~ ${label} ${name}: ${showChanges(changes)}`));
+        }
+        if (collection.options.length > 0) {
+            lines.push(`    ~ options: ${showChanges(collection.options)}`);
+        }
+    }
+    return lines.join("\n");
+}
@@ -0,0 +1,420 @@
+/**
+ * Schema-driven fake data
+ * Generates plausible records from field types, enum values, validation rules and M2O relations.
+ * The same seed and schema always give the same records.
+ */
+
+import { getEnumValues, getFieldType, isRelationField, validateFieldValue } from "./fields.js";
+
+export const SEED_LIMITS = { maxCount: 1000, maxReferenceIds: 1000 };
+
+// Fields Baasix fills itself
+const SYSTEM_FIELDS = ["createdAt", "updatedAt", "deletedAt"];
+
+// Default values that Baasix generates (UUIDV4, SUID, NOW, AUTOINCREMENT, SQL)
+const GENERATED_DEFAULTS = ["uuidv4", "suid", "now", "autoincrement", "sql"];
+
+// Dates are drawn from a fixed window so that output does not depend on the current time
+const DATE_RANGE = [Date.UTC(2020, 0, 1), Date.UTC(2025, 11, 31)];
+
+const FIRST_NAMES = ["Ava", "Liam", "Maya", "Noah", "Zara", "Ethan", "Lena", "Omar", "Priya", "Jonas", "Sofia", "Kenji"];
+const LAST_NAMES = ["Patel", "Garcia", "Nguyen", "Smith", "Müller", "Okafor", "Rossi", "Kim", "Silva", "Cohen", "Haddad"];
+const WORDS = [
+    "alpha", "bright", "cedar", "delta", "ember", "forest", "granite", "harbor", "indigo", "juniper", "keystone",
+    "lumen", "meadow", "nimbus", "orbit", "prairie", "quartz", "river", "summit", "timber", "umber", "vista",
+];
+const CITIES = ["Lisbon", "Osaka", "Toronto", "Nairobi", "Berlin", "Austin", "Melbourne", "Chennai", "Oslo", "Lima"];
+const COUNTRIES = ["Portugal", "Japan", "Canada", "Kenya", "Germany", "United States", "Australia", "India", "Norway"];
+const COMPANIES = ["Acme", "Globex", "Initech", "Umbrella", "Stark", "Wayne", "Hooli", "Vandelay", "Soylent"];
+const COLORS = ["red", "green", "blue", "black", "white", "silver", "orange", "purple", "teal"];
+
+const ALPHANUMERIC = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+const DIGITS = "0123456789";
+const WORD_CHARS = `${ALPHANUMERIC}_`;
+
+// String seeds are hashed to a 32-bit number (FNV-1a)
+function hashSeed(seed) {
+    if (typeof seed === "number") return seed >>> 0;
+    let hash = 0x811c9dc5;
+    for (const char of String(seed)) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Deterministic random numbers (mulberry32)
+function createRandom(seed) {
+    let state = hashSeed(seed);
+    const next = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+    return {
+        next,
+        int,
+        pick: (values) => values[int(0, values.length - 1)],
+        chars: (alphabet, length) => Array.from({ length }, () => alphabet[int(0, alphabet.length - 1)]).join(""),
+    };
+}
+
+function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+function words(random, min, max) {
+    return Array.from({ length: random.int(min, max) }, () => random.pick(WORDS));
+}
+
+function sentence(random) {
+    return `${capitalize(words(random, 5, 10).join(" "))}.`;
+}
+
+// Character class of a pattern, e.g. [a-z0-9_] or \d
+function parseClass(pattern, start) {
+    let i = start + 1;
+    const negated = pattern[i] === "^";
+    if (negated) i++;
+
+    const chars = [];
+    for (let first = true; i < pattern.length && (pattern[i] !== "]" || first); first = false) {
+        let char = pattern[i];
+        if (char === "\\") {
+            const escaped = pattern[i + 1];
+            const set = { d: DIGITS, w: WORD_CHARS, s: " " }[escaped];
+            if (set) chars.push(...set);
+            else chars.push(escaped);
+            i += 2;
+            continue;
+        }
+        if (pattern[i + 1] === "-" && pattern[i + 2] && pattern[i + 2] !== "]") {
+            const end = pattern[i + 2] === "\\" ? pattern[i + 3] : pattern[i + 2];
+            for (let code = char.charCodeAt(0); code <= end.charCodeAt(0); code++) chars.push(String.fromCharCode(code));
+            i += pattern[i + 2] === "\\" ? 4 : 3;
+            continue;
+        }
+        chars.push(char);
+        i++;
+    }
+    if (pattern[i] !== "]") throw new Error("Unterminated character class");
+
+    const alphabet = negated ? [...ALPHANUMERIC].filter((char) => !chars.includes(char)) : chars;
+    return { node: { type: "class", alphabet }, end: i + 1 };
+}
+
+// Parse the subset of regular expressions used in validation rules into a tree
+function parsePattern(pattern) {
+    let i = 0;
+
+    const parseAlternatives = () => {
+        const alternatives = [parseSequence()];
+        while (pattern[i] === "|") {
+            i++;
+            alternatives.push(parseSequence());
+        }
+        return { type: "alternatives", alternatives };
+    };
+
+    const parseAtom = () => {
+        const char = pattern[i];
+        if (char === "(") {
+            i += pattern.startsWith("(?:", i) ? 3 : 1;
+            const group = parseAlternatives();
+            if (pattern[i] !== ")") throw new Error("Unterminated group");
+            i++;
+            return group;
+        }
+        if (char === "[") {
+            const { node, end } = parseClass(pattern, i);
+            i = end;
+            return node;
+        }
+        if (char === "\\") {
+            const escaped = pattern[i + 1];
+            i += 2;
+            const set = { d: DIGITS, w: WORD_CHARS, s: " " }[escaped];
+            if (set) return { type: "class", alphabet: [...set] };
+            if (/[DWSbB]/.test(escaped)) throw new Error(`Unsupported escape \\${escaped}`);
+            return { type: "literal", value: escaped };
+        }
+        if (char === ".") {
+            i++;
+            return { type: "class", alphabet: [...ALPHANUMERIC] };
+        }
+        i++;
+        return { type: "literal", value: char };
+    };
+
+    const parseQuantifier = () => {
+        const char = pattern[i];
+        let range = null;
+        if (char === "?") range = [0, 1];
+        else if (char === "*") range = [0, 3];
+        else if (char === "+") range = [1, 3];
+        else if (char === "{") {
+            const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+            if (!match) return null;
+            const min = Number(match[1]);
+            const max = match[2] ? (match[3] ? Number(match[3]) : min + 3) : min;
+            i += match[0].length - 1;
+            range = [min, max];
+        }
+        if (!range) return null;
+        i++;
+        if (pattern[i] === "?") i++;
+        return range;
+    };
+
+    const parseSequence = () => {
+        const items = [];
+        while (i < pattern.length && pattern[i] !== "|" && pattern[i] !== ")") {
+            if (pattern[i] === "^" || pattern[i] === "$") {
+                i++;
+                continue;
+            }
+            const atom = parseAtom();
+            const range = parseQuantifier();
+            items.push(range ? { type: "repeat", atom, range } : atom);
+        }
+        return { type: "sequence", items };
+    };
+
+    const tree = parseAlternatives();
+    if (i < pattern.length) throw new Error(`Unexpected "${pattern[i]}"`);
+    return tree;
+}
+
+function renderPattern(node, random) {
+    switch (node.type) {
+        case "alternatives":
+            return renderPattern(random.pick(node.alternatives), random);
+        case "sequence":
+            return node.items.map((item) => renderPattern(item, random)).join("");
+        case "repeat": {
+            const count = random.int(node.range[0], node.range[1]);
+            return Array.from({ length: count }, () => renderPattern(node.atom, random)).join("");
+        }
+        case "class":
+            return node.alphabet.length > 0 ? random.pick(node.alphabet) : "";
+        default:
+            return node.value;
+    }
+}
+
+// A string matching a validation pattern, or null when the pattern is beyond the generator or is not a valid
+// regular expression (validateFieldValue then reports it as a warning)
+function generateFromPattern(pattern, random) {
+    const [source, flags] = Array.isArray(pattern) ? pattern : [pattern];
+    let tree;
+    let regex;
+    try {
+        tree = parsePattern(source);
+        regex = new RegExp(source, flags);
+    } catch (error) {
+        return null;
+    }
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+        const value = renderPattern(tree, random);
+        if (regex.test(value)) return value;
+    }
+    return null;
+}
+
+// Fit generated text into the length limits of a field
+function fitLength(text, field, random) {
+    const rules = field.validate || {};
+    const [minLength, maxLength] = Array.isArray(rules.len) ? rules.len : [];
+    const limits = [maxLength, getFieldType(field) === "string" ? field.values?.length : null].filter((n) => n != null);
+    const max = limits.length > 0 ? Math.min(...limits) : null;
+
+    let result = text;
+    while (minLength != null && result.length < minLength) result += ` ${random.pick(WORDS)}`;
+    if (max != null && result.length > max) result = result.slice(0, max).trimEnd();
+    while (minLength != null && result.length < minLength) result += random.chars(ALPHANUMERIC, 1);
+    return result;
+}
+
+// Text that suits the field name, e.g. an email address for "email" or a city for "city"
+function generateText(name, field, random, index) {
+    const rules = field.validate || {};
+    const key = name.toLowerCase();
+    const suffix = field.unique ? `-${index + 1}` : "";
+    const first = random.pick(FIRST_NAMES);
+    const last = random.pick(LAST_NAMES);
+
+    if (rules.isEmail || key.includes("email")) {
+        return `${first}.${last}${field.unique ? index + 1 : random.int(1, 99)}@example.com`.toLowerCase().replace("ü", "u");
+    }
+    if (rules.isUrl || /(url|website|homepage|link)$/.test(key)) {
+        return `https://example.com/${words(random, 1, 2).join("-")}${suffix}`;
+    }
+    if (key.includes("phone") || key.includes("mobile")) return `+1-555-${random.chars(DIGITS, 3)}-${random.chars(DIGITS, 4)}`;
+    if (/^first_?name$/.test(key)) return first;
+    if (/^last_?name$|^surname$/.test(key)) return last;
+    if (/^(full_?)?name$|author|owner/.test(key)) return `${first} ${last}${suffix}`;
+    if (key.includes("username") || key === "login" || key === "handle") return `${first.toLowerCase()}${random.int(10, 9999)}${suffix}`;
+    if (key.includes("city")) return random.pick(CITIES);
+    if (key.includes("country")) return random.pick(COUNTRIES);
+    if (key.includes("company") || key.includes("organization")) return `${random.pick(COMPANIES)} ${capitalize(random.pick(WORDS))}`;
+    if (key.includes("address") || key.includes("street")) return `${random.int(1, 999)} ${capitalize(random.pick(WORDS))} Street`;
+    if (/zip|postal/.test(key)) return random.chars(DIGITS, 5);
+    if (key.includes("color") || key.includes("colour")) return random.pick(COLORS);
+    if (key.includes("slug")) return `${words(random, 2, 3).join("-")}${suffix}`;
+    if (/sku|code/.test(key)) return `${random.chars("ABCDEFGHIJKLMNOPQRSTUVWXYZ", 3)}-${random.chars(DIGITS, 4)}${suffix}`;
+    if (/title|subject|headline/.test(key)) return `${capitalize(words(random, 2, 4).join(" "))}${suffix}`;
+    if (getFieldType(field) === "text" || /description|summary|body|content|bio|notes?|comment|message/.test(key)) {
+        return Array.from({ length: random.int(1, 3) }, () => sentence(random)).join(" ");
+    }
+    return `${capitalize(words(random, 1, 3).join(" "))}${suffix}`;
+}
+
+// Number within the min/max rules, or a default range
+function numberRange(field, fallback) {
+    const rules = field.validate || {};
+    const min = rules.min ?? fallback[0];
+    const max = rules.max ?? Math.max(min, fallback[1]);
+    return [min, max];
+}
+
+function isoDate(random) {
+    return new Date(DATE_RANGE[0] + Math.floor(random.next() * (DATE_RANGE[1] - DATE_RANGE[0])));
+}
+
+function generateUuid(random) {
+    const hex = random.chars("0123456789abcdef", 32).split("");
+    hex[12] = "4";
+    hex[16] = "89ab"[random.int(0, 3)];
+    const text = hex.join("");
+    return `${text.slice(0, 8)}-${text.slice(8, 12)}-${text.slice(12, 16)}-${text.slice(16, 20)}-${text.slice(20)}`;
+}
+
+/**
+ * Generate a value for a field
+ * @returns {any} The value, or undefined when the field is better left to Baasix
+ */
+function generateValue(name, field, random, index) {
+    const type = getFieldType(field);
+    const rules = field.validate || {};
+
+    const pattern = rules.is || rules.matches;
+    if (pattern && (type === "string" || type === "text")) {
+        const value = generateFromPattern(pattern, random);
+        if (value !== null) return value;
+    }
+
+    switch (type) {
+        case "integer":
+        case "bigint": {
+            const [min, max] = numberRange(field, [1, 1000]);
+            return field.unique ? min + index : random.int(Math.ceil(min), Math.floor(max));
+        }
+        case "decimal":
+        case "float":
+        case "real":
+        case "double": {
+            const [min, max] = numberRange(field, [1, 1000]);
+            const scale = field.values?.scale ?? 2;
+            return Number((min + random.next() * (max - min)).toFixed(scale));
+        }
+        case "boolean":
+            return random.next() < 0.5;
+        case "date":
+            return isoDate(random).toISOString().slice(0, 10);
+        case "datetime":
+            return isoDate(random).toISOString();
+        case "time":
+            return `${String(random.int(0, 23)).padStart(2, "0")}:${String(random.int(0, 59)).padStart(2, "0")}:00`;
+        case "uuid":
+            return generateUuid(random);
+        case "suid":
+            return random.chars(ALPHANUMERIC, 10);
+        case "enum": {
+            const values = getEnumValues(field);
+            return values.length > 0 ? random.pick(values) : undefined;
+        }
+        case "jsonb":
+        case "json":
+            return { label: random.pick(WORDS), score: random.int(1, 100) };
+        case "geometry":
+        case "geography":
+            return {
+                type: "Point",
+                coordinates: [Number((random.next() * 360 - 180).toFixed(5)), Number((random.next() * 180 - 90).toFixed(5))],
+            };
+        case "array": {
+            const itemField = { type: field.values?.type || "String" };
+            return Array.from({ length: random.int(1, 3) }, (_, i) => generateValue(name, itemField, random, i));
+        }
+        default:
+            return fitLength(generateText(name, field, random, index), field, random);
+    }
+}
+
+// Fields that Baasix fills or that hold no stored value
+function isGeneratedField(name, field) {
+    const defaultType = String(field.defaultValue?.type || "").toLowerCase();
+    return (
+        isRelationField(field) ||
+        SYSTEM_FIELDS.includes(name) ||
+        field.autoIncrement ||
+        (field.primaryKey && field.defaultValue !== undefined) ||
+        GENERATED_DEFAULTS.includes(defaultType)
+    );
+}
+
+/**
+ * Foreign keys of M2O relations, which are filled with IDs of existing target records
+ * @returns {Array<{ field: string, target: string }>}
+ */
+export function getReferenceFields(fields) {
+    return Object.values(fields)
+        .filter((field) => field?.relType === "BelongsTo" && field.foreignKey && field.target)
+        .map((field) => ({ field: field.foreignKey, target: field.target }));
+}
+
+/**
+ * Generate records for a collection
+ * @param {object} fields - Field definitions from /schemas/{collection}
+ * @param {object} options - count, seed, references (foreign key -> existing target IDs) and overrides
+ *   (field values used for every record)
+ * @returns {{ records: object[], warnings: object[] }} Warnings name fields whose generated values break a rule
+ */
+export function generateRecords(fields, { count, seed, references = {}, overrides = {} }) {
+    const random = createRandom(seed);
+    const warnings = new Map();
+    const warn = (field, message) => {
+        if (!warnings.has(`${field}:${message}`)) warnings.set(`${field}:${message}`, { field, message });
+    };
+
+    for (const [field, ids] of Object.entries(references)) {
+        if (ids.length === 0 && fields[field]?.allowNull === false && !(field in overrides)) {
+            warn(field, "Required reference, but the target collection has no records");
+        }
+    }
+
+    const records = Array.from({ length: count }, (_, index) => {
+        const record = {};
+        for (const [name, field] of Object.entries(fields)) {
+            if (name in overrides || isGeneratedField(name, field)) continue;
+
+            let value;
+            if (name in references) {
+                value = references[name].length > 0 ? random.pick(references[name]) : null;
+            } else {
+                value = generateValue(name, field, random, index);
+            }
+            if (value === undefined) continue;
+
+            validateFieldValue(value, field).forEach((message) => warn(name, `Generated value ${message}`));
+            record[name] = value;
+        }
+        return { ...record, ...overrides };
+    });
+
+    return { records, warnings: [...warnings.values()] };
+}
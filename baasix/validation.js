@@ -0,0 +1,101 @@
+/**
+ * Tool argument validation
+ * Builds zod validators from the JSON Schema declared in each tool's inputSchema
+ * so that bad arguments are rejected before any request reaches Baasix
+ */
+
+import { z } from "zod";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+
+// Convert the JSON Schema subset used by tool definitions into a zod schema
+export function jsonSchemaToZod(schema = {}) {
+    if (Array.isArray(schema.enum) && schema.enum.every((value) => typeof value === "string")) {
+        return z.enum(schema.enum);
+    }
+
+    switch (schema.type) {
+        case "string": {
+            let result = z.string();
+            if (schema.format === "email") result = result.email();
+            if (schema.format === "uri") result = result.url();
+            return result;
+        }
+        case "number":
+            return z.number();
+        case "integer":
+            return z.number().int();
+        case "boolean":
+            return z.boolean();
+        case "array":
+            return z.array(jsonSchemaToZod(schema.items));
+        case "object": {
+            const required = new Set(schema.required || []);
+            const shape = {};
+            for (const [key, property] of Object.entries(schema.properties || {})) {
+                const field = jsonSchemaToZod(property);
+                shape[key] = required.has(key) ? field : field.optional();
+            }
+            const object = z.object(shape);
+            return schema.additionalProperties === false ? object.strict() : object.passthrough();
+        }
+        default:
+            return z.any();
+    }
+}
+
+// Format a zod issue path as "field.nested[0]"
+function formatPath(path) {
+    return path.reduce((result, key) => {
+        if (typeof key === "number") return `${result}[${key}]`;
+        return result ? `${result}.${key}` : key;
+    }, "");
+}
+
+// Turn a zod issue into a readable message naming the field, expected type and allowed values
+export function formatIssue(issue) {
+    const field = formatPath(issue.path) || "arguments";
+
+    switch (issue.code) {
+        case "invalid_type":
+            if (issue.received === "undefined") {
+                return `${field} is required (expected ${issue.expected})`;
+            }
+            return `${field} must be ${issue.expected}, received ${issue.received}`;
+        case "invalid_enum_value":
+            return `${field} must be one of: ${issue.options.join(", ")} (received ${JSON.stringify(issue.received)})`;
+        case "unrecognized_keys":
+            return `${field} has unknown field(s): ${issue.keys.join(", ")}`;
+        case "invalid_string":
+            return `${field} must be a valid ${issue.validation === "url" ? "URI" : issue.validation}`;
+        default:
+            return `${field}: ${issue.message}`;
+    }
+}
+
+// Build a map of tool name -> zod validator
+export function buildToolValidators(tools) {
+    return new Map(tools.map((tool) => [tool.name, jsonSchemaToZod(tool.inputSchema)]));
+}
+
+// Validate tool arguments, throwing InvalidParams with details of every problem
+export function validateToolArguments(validators, name, args) {
+    const validator = validators.get(name);
+    if (!validator) return args;
+
+    const result = validator.safeParse(args);
+    if (result.success) return args;
+
+    const issues = result.error.issues.map((issue) => ({
+        path: formatPath(issue.path),
+        code: issue.code,
+        message: formatIssue(issue),
+        ...(issue.expected && { expected: issue.expected }),
+        ...(issue.options && { allowed: issue.options }),
+    }));
+
+    throw new McpError(
+        ErrorCode.InvalidParams,
+        `Invalid arguments for ${name}: ${issues.map((issue) => issue.message).join("; ")}`,
+        { issues }
+    );
+}